@@ -2,1002 +2,7019 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { unzipSync } from 'three/addons/libs/fflate.module.js';
 
 // Utility function for generating unique IDs
 function generateUniqueId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-// LEDScreen Class - Manages the LED screen with its textures and properties
-class LEDScreen {
-  constructor(mesh, materialName = "M_WhiteScreen", app = null) {
-    this.mesh = mesh;
-    this.materialName = materialName;
-    this.material = null;
-    this.originalBaseColorTexture = null;
-    this.originalEmissiveTexture = null;
-    this.originalEmissiveIntensity = 1;
-    this.currentTexture = null;
-    this.brightness = 1.0;
-    this.aspectRatio = 10 / 3;
-    this.app = app; // Reference to main app for global state
-    
-    this.findTargetMaterial();
-    this.applyGlobalState();
+// Format seconds as m:ss.ff for transport displays
+function formatTimecode(seconds) {
+  if (!isFinite(seconds) || seconds < 0) seconds = 0;
+  const minutes = Math.floor(seconds / 60);
+  const secs = seconds - minutes * 60;
+  return `${minutes}:${secs.toFixed(2).padStart(5, '0')}`;
+}
+
+// Save a blob through a temporary download link
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// VideoContent Class - Wraps a video file played back as live LED screen content
+class VideoContent {
+  constructor(file) {
+    this.file = file;
+    this.name = file.name;
+    this.url = URL.createObjectURL(file);
+    this.texture = null;
+
+    // Transport state
+    this.inPoint = 0;
+    this.outPoint = null; // null = end of clip
+    this.loop = true;
+    this.playbackRate = 1;
+
+    this.video = document.createElement('video');
+    this.video.muted = true;
+    this.video.playsInline = true;
+    this.video.preload = 'auto';
+    this.video.loop = false; // Looping is handled manually to respect in/out points
   }
-  
-  findTargetMaterial() {
-    if (!this.mesh) return;
-    
-    this.mesh.traverse((child) => {
-      if (child.isMesh && child.material) {
-        const materials = Array.isArray(child.material) ? child.material : [child.material];
-        
-        materials.forEach((mat) => {
-          if (mat.name === this.materialName) {
-            this.material = mat;
-            this.originalBaseColorTexture = mat.map;
-            this.originalEmissiveTexture = mat.emissiveMap;
-            this.originalEmissiveIntensity = mat.emissiveIntensity || 1;
-            this.brightness = this.originalEmissiveIntensity;
-            
-            console.log('Found LED screen material:', this.materialName, 'on mesh:', child.name || 'unnamed');
-            console.log('Original texture:', this.originalBaseColorTexture);
-            console.log('Original emissive texture:', this.originalEmissiveTexture);
-          }
-        });
-      }
+
+  load() {
+    return new Promise((resolve, reject) => {
+      this.video.addEventListener('loadedmetadata', () => {
+        this.outPoint = this.video.duration;
+
+        this.texture = new THREE.VideoTexture(this.video);
+        this.texture.wrapS = THREE.RepeatWrapping;
+        this.texture.wrapT = THREE.RepeatWrapping;
+        this.texture.flipY = false;
+
+        // Mark as custom texture for persistence across studio changes
+        this.texture.userData.isCustomTexture = true;
+        this.texture.userData.isVideoTexture = true;
+
+        resolve(this);
+      }, { once: true });
+
+      this.video.addEventListener('error', () => {
+        reject(new Error(`Could not load video: ${this.name}`));
+      }, { once: true });
+
+      this.video.src = this.url;
     });
-    
-    if (!this.material) {
-      console.warn('LED screen material not found:', this.materialName);
-      this.logAvailableMaterials();
-    }
   }
-  
-  logAvailableMaterials() {
-    console.log('Available materials:');
-    this.mesh.traverse((child) => {
-      if (child.isMesh && child.material) {
-        const materials = Array.isArray(child.material) ? child.material : [child.material];
-        materials.forEach((mat, index) => {
-          console.log(`- ${mat.name || 'Unnamed'} (${child.name || 'Unnamed mesh'}_${index})`);
-        });
-      }
+
+  getDuration() {
+    return isFinite(this.video.duration) ? this.video.duration : 0;
+  }
+
+  getCurrentTime() {
+    return this.video.currentTime;
+  }
+
+  isPlaying() {
+    return !this.video.paused && !this.video.ended;
+  }
+
+  play() {
+    // Restart from the in point if we're parked at (or past) the out point
+    if (this.video.currentTime >= this.getOutPoint() || this.video.currentTime < this.inPoint) {
+      this.video.currentTime = this.inPoint;
+    }
+
+    this.video.playbackRate = this.playbackRate;
+    return this.video.play().catch((error) => {
+      console.warn('Video playback could not start:', error);
     });
   }
-  
-  applyGlobalState() {
-    if (!this.material || !this.app) return;
-    
-    // Apply global brightness (always apply brightness)
-    if (this.app.globalBrightness !== null && this.app.globalBrightness !== undefined) {
-      this.material.emissiveIntensity = this.app.globalBrightness;
-      this.brightness = this.app.globalBrightness;
+
+  pause() {
+    this.video.pause();
+  }
+
+  togglePlay() {
+    if (this.isPlaying()) {
+      this.pause();
+    } else {
+      this.play();
     }
-    
-    // Apply global custom texture if it exists
-    if (this.app.globalCustomTexture) {
-      this.material.map = this.app.globalCustomTexture;
-      this.material.emissiveMap = this.app.globalCustomEmissiveTexture;
-      this.currentTexture = this.app.globalCustomTexture;
-      console.log('Applied global custom texture to new studio');
+  }
+
+  seek(time) {
+    this.video.currentTime = THREE.MathUtils.clamp(time, 0, this.getDuration());
+  }
+
+  getOutPoint() {
+    return this.outPoint !== null ? this.outPoint : this.getDuration();
+  }
+
+  setInPoint(time) {
+    this.inPoint = THREE.MathUtils.clamp(time, 0, this.getOutPoint());
+    if (this.video.currentTime < this.inPoint) {
+      this.seek(this.inPoint);
     }
-    
-    this.material.needsUpdate = true;
   }
 
-  setCustomTexture(file, callback) {
-    if (!this.material) {
-      console.warn('No material found to apply texture');
-      return;
+  setOutPoint(time) {
+    this.outPoint = THREE.MathUtils.clamp(time, this.inPoint, this.getDuration());
+    if (this.video.currentTime > this.outPoint) {
+      this.seek(this.outPoint);
+    }
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+  }
+
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    this.video.playbackRate = rate;
+  }
+
+  // Called every frame to enforce the in/out range
+  update() {
+    if (!this.isPlaying()) return;
+
+    if (this.video.currentTime >= this.getOutPoint()) {
+      if (this.loop) {
+        this.video.currentTime = this.inPoint;
+      } else {
+        this.pause();
+        this.video.currentTime = this.getOutPoint();
+      }
     }
+  }
+
+  dispose() {
+    this.video.pause();
+    this.video.removeAttribute('src');
+    this.video.load();
+    if (this.texture) this.texture.dispose();
+    URL.revokeObjectURL(this.url);
+
+    console.log('Video content disposed:', this.name);
+  }
+}
+
+// Frame files an image sequence can be made of
+const SEQUENCE_FRAME_PATTERN = /\.(png|jpe?g|exr)$/i;
+
+// Decoded frames kept in memory by default; frames behind the playhead are released first
+const SEQUENCE_MEMORY_BUDGET = 512 * 1024 * 1024;
+
+// Frames decoded in parallel while preloading
+const SEQUENCE_DECODE_CONCURRENCY = 2;
+
+// Frame files from a multi-file selection, expanding any zip archives
+function readSequenceFiles(files) {
+  return Promise.all(Array.from(files).map(async (file) => {
+    if (!/\.zip$/i.test(file.name)) return [file];
     
-    this.cropImageTo10x3(file, (croppedDataUrl) => {
-      const textureLoader = new THREE.TextureLoader();
-      textureLoader.load(croppedDataUrl, (texture) => {
-        texture.wrapS = THREE.RepeatWrapping;
-        texture.wrapT = THREE.RepeatWrapping;
-        texture.flipY = false;
-        
-        // Mark as custom texture for persistence across studio changes
-        texture.userData = texture.userData || {};
-        texture.userData.isCustomTexture = true;
-        
-        this.material.map = texture;
-        this.material.emissiveMap = texture;
-        this.material.needsUpdate = true;
-        this.currentTexture = texture;
-        
-        // Store in global state for persistence across studio changes
-        if (this.app) {
-          this.app.globalCustomTexture = texture;
-          this.app.globalCustomEmissiveTexture = texture;
-        }
-        
-        console.log('Custom texture applied to LED screen and stored globally');
-        if (callback) callback();
-      });
+    const entries = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+      filter: entry => SEQUENCE_FRAME_PATTERN.test(entry.name) && !entry.name.startsWith('__MACOSX/')
     });
+    return Object.entries(entries).map(([path, data]) => new File([data], path.split('/').pop()));
+  })).then(lists => lists.flat());
+}
+
+// SequenceContent Class - Numbered image files played back frame by frame as live LED screen content
+class SequenceContent {
+  constructor(files, name) {
+    // Frame numbers sort numerically, so shot_9.exr comes before shot_10.exr
+    const frames = files.filter(file => SEQUENCE_FRAME_PATTERN.test(file.name))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    
+    // A sequence is a single format; stray files of another type are left out
+    const extension = frames.length > 0 ? frames[0].name.split('.').pop().toLowerCase().replace('jpeg', 'jpg') : null;
+    this.files = frames.filter(file => file.name.split('.').pop().toLowerCase().replace('jpeg', 'jpg') === extension);
+    this.name = name || (this.files.length > 0 ? this.files[0].name : 'Image sequence');
+    this.isHDR = extension === 'exr';
+    this.texture = null;
+    this.width = 0;
+    this.height = 0;
+    this.frameBytes = 0;
+    
+    this.frames = new Map(); // frame index -> decoded image
+    this.pending = new Set(); // frame indices being decoded
+    this.failedFrames = new Set(); // unreadable or mismatched frames, held over on playback
+    this.memoryBudget = SEQUENCE_MEMORY_BUDGET;
+    this.disposed = false;
+    
+    // Transport state
+    this.fps = 24;
+    this.loop = true;
+    this.playing = false;
+    this.currentFrame = 0;
+    this.shownFrame = -1;
+    this.clockStart = 0; // Time the clock frame was due
+    this.clockFrame = 0;
+    
+    this.onChange = null; // Called when the shown frame, transport or buffer changes
   }
   
-  setBrightness(intensity) {
-    if (!this.material) return;
-    
-    this.brightness = intensity;
-    this.material.emissiveIntensity = intensity;
-    this.material.needsUpdate = true;
-    
-    // Update global brightness
-    if (this.app) {
-      this.app.globalBrightness = intensity;
+  async load() {
+    if (this.files.length === 0) {
+      throw new Error('No numbered PNG, JPG or EXR frames found');
     }
-  }
-  
-  resetToOriginal() {
-    if (!this.material) return;
-    
-    this.material.map = this.originalBaseColorTexture;
-    this.material.emissiveMap = this.originalEmissiveTexture;
-    this.material.emissiveIntensity = this.originalEmissiveIntensity;
-    this.material.needsUpdate = true;
-    
-    this.brightness = this.originalEmissiveIntensity;
-    this.currentTexture = null;
     
-    // Clear global custom texture state
-    if (this.app) {
-      this.app.globalCustomTexture = null;
-      this.app.globalCustomEmissiveTexture = null;
-      this.app.globalBrightness = this.originalEmissiveIntensity;
+    const image = await this.decodeFrame(0);
+    this.width = image.width;
+    this.height = image.height;
+    this.frameBytes = this.isHDR ? image.data.byteLength : image.width * image.height * 4;
+    
+    if (this.isHDR) {
+      this.texture = new THREE.DataTexture(image.data, image.width, image.height, image.format, THREE.HalfFloatType);
+      this.texture.minFilter = THREE.LinearFilter;
+      this.texture.magFilter = THREE.LinearFilter;
+      this.texture.flipY = true; // EXR rows are stored bottom-up; LED content is sampled with v=0 at the top
+      this.texture.hdrPreview = createHDRPreview(this.texture);
+    } else {
+      this.texture = new THREE.Texture(image);
+      this.texture.flipY = false;
     }
     
-    console.log('LED screen reset to original');
-  }
-  
-  cropImageTo10x3(file, callback) {
-    const img = new Image();
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+    this.texture.wrapS = THREE.RepeatWrapping;
+    this.texture.wrapT = THREE.RepeatWrapping;
+    this.texture.needsUpdate = true;
+    this.texture.sequenceContent = this;
     
-    img.onload = () => {
-      const targetAspectRatio = this.aspectRatio;
-      const sourceAspectRatio = img.width / img.height;
-      
-      let sourceX = 0, sourceY = 0, sourceWidth = img.width, sourceHeight = img.height;
-      
-      if (sourceAspectRatio > targetAspectRatio) {
-        sourceWidth = img.height * targetAspectRatio;
-        sourceX = (img.width - sourceWidth) / 2;
-      } else {
-        sourceHeight = img.width / targetAspectRatio;
-        sourceY = (img.height - sourceHeight) / 2;
-      }
-      
-      const outputWidth = Math.min(3600, sourceWidth);
-      const outputHeight = outputWidth / targetAspectRatio;
-      
-      canvas.width = outputWidth;
-      canvas.height = outputHeight;
-      
-      ctx.drawImage(
-        img,
-        sourceX, sourceY, sourceWidth, sourceHeight,
-        0, 0, outputWidth, outputHeight
-      );
-      
-      callback(canvas.toDataURL('image/png'));
-    };
+    // Mark as custom texture for persistence across studio changes
+    this.texture.userData.isCustomTexture = true;
+    this.texture.userData.sourceName = this.name;
     
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      img.src = e.target.result;
-    };
-    reader.readAsDataURL(file);
+    this.frames.set(0, image);
+    this.shownFrame = 0;
+    return this;
   }
-}
-
-// SceneObject Class - Manages placed 3D models in the scene
-class SceneObject {
-  constructor(mesh, name = 'Object') {
-    this.mesh = mesh;
-    this.name = name;
-    this.id = generateUniqueId();
-    this.isSelected = false;
-    this.originalMaterials = new Map();
-    
-    this.transform = {
-      position: mesh.position.clone(),
-      rotation: mesh.rotation.clone(),
-      scale: mesh.scale.clone()
-    };
-    
-    this.storeOriginalMaterials();
+  
+  decodeFrame(index) {
+    const file = this.files[index];
+    if (this.isHDR) {
+      return file.arrayBuffer().then(buffer => new EXRLoader().setDataType(THREE.HalfFloatType).parse(buffer));
+    }
+    return createImageBitmap(file);
   }
   
-  storeOriginalMaterials() {
-    this.mesh.traverse((child) => {
-      if (child.isMesh && child.material) {
-        if (!child.userData.originalEmissive) {
-          child.userData.originalEmissive = child.material.emissive ? 
-            child.material.emissive.clone() : new THREE.Color(0x000000);
-          child.userData.originalEmissiveIntensity = child.material.emissiveIntensity || 0;
+  loadFrame(index) {
+    this.pending.add(index);
+    
+    this.decodeFrame(index).then((image) => {
+      // Every frame shares the texture, so it has to match the first frame's size
+      if (this.disposed || image.width !== this.width || image.height !== this.height) {
+        if (!this.disposed) {
+          console.warn(`Sequence frame ${this.files[index].name} is ${image.width} × ${image.height}, expected ${this.width} × ${this.height}`);
+          this.failedFrames.add(index);
         }
+        if (image.close) image.close();
+        return;
       }
+      this.frames.set(index, image);
+    }).catch((error) => {
+      console.warn(`Could not decode sequence frame ${this.files[index].name}:`, error);
+      this.failedFrames.add(index);
+    }).finally(() => {
+      this.pending.delete(index);
+      if (!this.disposed && this.onChange) this.onChange();
     });
   }
   
-  select() {
-    if (this.isSelected) return;
-    
-    this.isSelected = true;
-    
-    // Add visual highlight
-    this.mesh.traverse((child) => {
-      if (child.isMesh && child.material) {
-        if (child.material.emissive) {
-          child.material.emissive.setHex(0x333333);
-          child.material.emissiveIntensity = 0.3;
-        }
-        child.material.needsUpdate = true;
-      }
-    });
-    
-    console.log('SceneObject selected:', this.name);
+  releaseFrame(index) {
+    const image = this.frames.get(index);
+    if (image && image.close) image.close();
+    this.frames.delete(index);
   }
   
-  deselect() {
-    if (!this.isSelected) return;
-    
-    this.isSelected = false;
-    
-    // Remove visual highlight
-    this.mesh.traverse((child) => {
-      if (child.isMesh && child.material && child.userData.originalEmissive) {
-        child.material.emissive.copy(child.userData.originalEmissive);
-        child.material.emissiveIntensity = child.userData.originalEmissiveIntensity;
-        child.material.needsUpdate = true;
+  getFrameCount() {
+    return this.files.length;
+  }
+  
+  getMaxBufferedFrames() {
+    return Math.min(Math.max(Math.floor(this.memoryBudget / Math.max(this.frameBytes, 1)), 2), this.files.length);
+  }
+  
+  getMemoryUsage() {
+    return this.frames.size * this.frameBytes;
+  }
+  
+  // Frames playback will need next, starting at the playhead
+  getPreloadWindow() {
+    const count = this.getMaxBufferedFrames();
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+      const index = this.currentFrame + i;
+      if (index >= this.files.length && !this.loop) break;
+      frames.push(index % this.files.length);
+    }
+    return frames;
+  }
+  
+  // Decode upcoming frames within the memory budget, releasing ones playback has passed
+  preload() {
+    const upcoming = this.getPreloadWindow();
+    const needed = new Set(upcoming);
+    let released = false;
+    
+    this.frames.forEach((image, index) => {
+      if (!needed.has(index) && index !== this.shownFrame) {
+        this.releaseFrame(index);
+        released = true;
       }
     });
     
-    console.log('SceneObject deselected:', this.name);
+    for (const index of upcoming) {
+      if (this.pending.size >= SEQUENCE_DECODE_CONCURRENCY) break;
+      if (!this.frames.has(index) && !this.pending.has(index) && !this.failedFrames.has(index)) {
+        this.loadFrame(index);
+      }
+    }
+    
+    if (released && this.onChange) this.onChange();
   }
   
-  updateTransform() {
-    this.transform.position.copy(this.mesh.position);
-    this.transform.rotation.copy(this.mesh.rotation);
-    this.transform.scale.copy(this.mesh.scale);
+  isPlaying() {
+    return this.playing;
   }
   
-  delete() {
-    // Dispose of geometry and materials
-    this.mesh.traverse((child) => {
-      if (child.isMesh) {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => {
-              this.disposeMaterial(material);
-            });
-          } else {
-            this.disposeMaterial(child.material);
-          }
+  play() {
+    // Restart from the first frame if we're parked on the last one
+    if (!this.loop && this.currentFrame >= this.files.length - 1) {
+      this.currentFrame = 0;
+    }
+    this.playing = true;
+    this.resetClock();
+    if (this.onChange) this.onChange();
+  }
+  
+  pause() {
+    this.playing = false;
+    if (this.onChange) this.onChange();
+  }
+  
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+  
+  seek(frame) {
+    this.currentFrame = THREE.MathUtils.clamp(Math.round(frame), 0, this.files.length - 1);
+    this.resetClock();
+    if (this.onChange) this.onChange();
+  }
+  
+  // Move by whole frames, pausing playback
+  step(frames) {
+    this.playing = false;
+    const count = this.files.length;
+    const frame = this.currentFrame + frames;
+    this.seek(this.loop ? ((frame % count) + count) % count : frame);
+  }
+  
+  setFps(fps) {
+    this.fps = fps;
+    this.resetClock();
+  }
+  
+  setLoop(loop) {
+    this.loop = loop;
+  }
+  
+  setMemoryBudget(bytes) {
+    this.memoryBudget = bytes;
+  }
+  
+  // Playback time is counted from the current frame, so rate changes and seeks don't jump
+  resetClock() {
+    this.clockStart = performance.now();
+    this.clockFrame = this.currentFrame;
+  }
+  
+  // Called every frame to advance playback and upload the frame that is due
+  update(now) {
+    if (this.playing) {
+      let frame = this.clockFrame + Math.floor((now - this.clockStart) / 1000 * this.fps);
+      if (frame >= this.files.length) {
+        if (this.loop) {
+          frame %= this.files.length;
+        } else {
+          frame = this.files.length - 1;
+          this.pause();
         }
       }
-    });
+      this.currentFrame = frame;
+    }
     
-    console.log('SceneObject deleted and memory freed:', this.name);
+    // Frames that aren't decoded in time are dropped, holding the last one shown
+    const image = this.frames.get(this.currentFrame);
+    if (image && this.shownFrame !== this.currentFrame) {
+      this.shownFrame = this.currentFrame;
+      this.texture.image = this.isHDR ? { data: image.data, width: image.width, height: image.height } : image;
+      this.texture.needsUpdate = true;
+      if (this.onChange) this.onChange();
+    }
+    
+    this.preload();
   }
   
-  disposeMaterial(material) {
-    if (material.map) material.map.dispose();
-    if (material.normalMap) material.normalMap.dispose();
-    if (material.emissiveMap) material.emissiveMap.dispose();
-    material.dispose();
+  dispose() {
+    this.disposed = true;
+    this.playing = false;
+    Array.from(this.frames.keys()).forEach(index => this.releaseFrame(index));
+    if (this.texture) this.texture.dispose();
+    
+    console.log('Sequence content disposed:', this.name);
   }
 }
 
-// CinemaCamera Class - Manages cinema cameras with preview functionality
-class CinemaCamera {
-  constructor(name, scene) {
-    this.name = name;
-    this.id = generateUniqueId();
-    this.scene = scene;
-    this.isSelected = false;
-    
-    // Create camera
-    this.camera = new THREE.PerspectiveCamera(75, 16/9, 0.1, 1000);
-    
-    // Camera settings
-    this.focalLength = 50;
-    this.sensorSize = 24;
-    
-    // Create visual representation
-    this.createVisualRepresentation();
-    this.createHelper();
-    this.updateCameraSettings();
-    
-    // Initial positioning
-    this.group.position.set(0, 1.7, -5);
-    this.group.lookAt(0, 0, 0);
+// Key used to match LED surfaces across studios ("LED Ceiling.001" -> "LED Ceiling")
+function getSurfaceKey(name) {
+  return name.replace(/\.\d+$/, '').trim();
+}
+
+// Canvas aspect used when a studio doesn't declare one
+const DEFAULT_CANVAS_ASPECT = 10 / 3;
+
+// LED screen material names used when a studio doesn't list its own
+const DEFAULT_SCREEN_MATERIALS = ['M_WhiteScreen'];
+
+// Aspect ratio from a number or a "width:height" string such as "10:3"
+function parseAspectRatio(value) {
+  if (typeof value === 'string') {
+    const [width, height = 1] = value.split(':').map(Number);
+    return width > 0 && height > 0 ? width / height : null;
+  }
+  return value > 0 ? value : null;
+}
+
+// Default (identity) texture transform for LED surface content
+function createDefaultTextureTransform() {
+  return {
+    offsetX: 0,
+    offsetY: 0,
+    scaleX: 1,
+    scaleY: 1,
+    rotation: 0, // Degrees, clockwise about the pivot
+    pivotX: 0.5, // Canvas UVs
+    pivotY: 0.5,
+    flipX: false,
+    flipY: false,
+    fit: 'stretch', // 'stretch', 'fit', 'fill', 'center' or 'tile'
+    wrap: 'repeat' // 'repeat' or 'clamp' (black outside the content)
+  };
+}
+
+// Default content mapping: 'uv' stretches content over the screen UVs, 'equirect' projects a 360° panorama
+function createDefaultMapping() {
+  return {
+    mode: 'uv',
+    yaw: 0, // Degrees
+    pitch: 0,
+    roll: 0,
+    horizon: 0, // Degrees the panorama horizon is raised above the nodal point
+    nodalPoint: { x: 0, y: 1.7, z: 0 } // Metres, the viewpoint the panorama is projected from
+  };
+}
+
+// LED display calibration in real units; the material output is derived from these values
+function createDefaultDisplaySettings() {
+  return {
+    peakNits: 1500, // Full-white luminance of the cabinets at 100% brightness
+    whitePoint: 6500, // Kelvin the processor is calibrated to
+    eotf: 'srgb', // Transfer function the content signal is decoded with
+    colorSpace: 'rec709' // Primaries the content was graded in
+  };
+}
+
+// Wall luminance rendered as emissive intensity 1.0 in the scene
+const LED_REFERENCE_NITS = 500;
+
+const LED_EOTFS = { srgb: 0, gamma22: 1, gamma24: 2, pq: 3 };
+
+// Linear content primaries to the renderer's linear Rec.709 working space (row-major)
+const CONTENT_COLOR_SPACES = {
+  rec709: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+  p3: [1.2249, -0.2247, 0, -0.0420, 1.0419, 0, -0.0197, -0.0786, 1.0979],
+  rec2020: [1.6605, -0.5876, -0.0728, -0.1246, 1.1329, -0.0083, -0.0182, -0.1006, 1.1187]
+};
+
+// Decode one channel of the content signal to linear light relative to the wall output; matches ledDecodeSignal in the surface shader
+function decodeLEDSignal(value, eotf, displayNits) {
+  const signal = THREE.MathUtils.clamp(value, 0, 1);
+  switch (eotf) {
+    case 'gamma22':
+      return Math.pow(signal, 2.2);
+    case 'gamma24':
+      return Math.pow(signal, 2.4);
+    case 'pq': {
+      const p = Math.pow(signal, 1 / 78.84375);
+      const nits = 10000 * Math.pow(Math.max(p - 0.8359375, 0) / (18.8515625 - 18.6875 * p), 1 / 0.1593017578125);
+      return Math.min(nits / displayNits, 1);
+    }
+    default:
+      return signal <= 0.04045 ? signal * 0.0773993808 : Math.pow(signal * 0.9478672986 + 0.0521327014, 2.4);
+  }
+}
+
+// Scene-linear HDR content (EXR/HDR) is exposed and rolled off into the wall's output instead of EOTF-decoded
+function createDefaultHDRSettings() {
+  return {
+    exposure: 0, // Stops
+    toneCurve: 'reinhard', // 'clip', 'reinhard' or 'aces'
+    highlightStops: 3 // Stops above the wall's output that Reinhard compresses into it
+  };
+}
+
+const HDR_TONE_CURVES = { clip: 0, reinhard: 1, aces: 2 };
+
+// One channel of HDR content to linear light relative to the wall output; matches ledToneMapHDR in the surface shader
+function toneMapHDR(value, hdr) {
+  const x = Math.max(value, 0) * Math.pow(2, hdr.exposure);
+  switch (hdr.toneCurve) {
+    case 'reinhard': {
+      const white = Math.pow(2, hdr.highlightStops);
+      return Math.min(x * (1 + x / (white * white)) / (1 + x), 1);
+    }
+    case 'aces':
+      return Math.min((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 1);
+    default:
+      return Math.min(x, 1);
   }
+}
+
+function isHDRTexture(texture) {
+  return Boolean(texture) && (texture.type === THREE.HalfFloatType || texture.type === THREE.FloatType);
+}
+
+// Channel value of float texture data, decoding half floats
+function readTextureData(texture, index) {
+  const value = texture.image.data[index];
+  return texture.type === THREE.HalfFloatType ? THREE.DataUtils.fromHalfFloat(value) : value;
+}
+
+// Tone-mapped 8-bit copy of HDR content for the crop editor
+function createHDRPreview(texture, maxSize = 1024) {
+  const { width, height, data } = texture.image;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
   
-  createVisualRepresentation() {
-    // Create camera group
-    this.group = new THREE.Group();
-    
-    // Create camera mesh
-    const cameraGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.4);
-    const cameraMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0xff8800,
-      emissive: 0x442200,
-      emissiveIntensity: 0.3
-    });
-    this.mesh = new THREE.Mesh(cameraGeometry, cameraMaterial);
-    
-    // Position camera object
-    this.camera.position.set(0, 0, 0.2);
-    this.camera.rotation.y = Math.PI;
-    
-    // Add to group
-    this.group.add(this.camera);
-    this.group.add(this.mesh);
+  const context = canvas.getContext('2d');
+  const preview = context.createImageData(canvas.width, canvas.height);
+  const channels = data.length / (width * height);
+  const hdr = createDefaultHDRSettings();
+  const color = new THREE.Color();
+  
+  for (let y = 0; y < canvas.height; y++) {
+    // Rows are stored bottom-up when the texture is flipped on upload
+    const sourceY = Math.floor((y + 0.5) / canvas.height * height);
+    const row = texture.flipY ? height - 1 - sourceY : sourceY;
+    
+    for (let x = 0; x < canvas.width; x++) {
+      const index = (row * width + Math.floor((x + 0.5) / canvas.width * width)) * channels;
+      const rgb = [0, 1, 2].map(c => toneMapHDR(readTextureData(texture, index + Math.min(c, channels - 1)), hdr));
+      color.setRGB(rgb[0], rgb[1], rgb[2]).convertLinearToSRGB();
+      
+      const offset = (y * canvas.width + x) * 4;
+      preview.data[offset] = color.r * 255;
+      preview.data[offset + 1] = color.g * 255;
+      preview.data[offset + 2] = color.b * 255;
+      preview.data[offset + 3] = 255;
+    }
   }
   
-  createHelper() {
-    this.helper = new THREE.CameraHelper(this.camera);
-    this.helper.visible = false;
+  context.putImageData(preview, 0, 0);
+  return canvas;
+}
+
+// Linear Rec.709 RGB of a white point at unit luminance: CIE daylight locus from 4000K, Planckian locus below
+function colorTemperatureToRGB(kelvin) {
+  const t = THREE.MathUtils.clamp(kelvin, 1667, 25000);
+  let x, y;
+  
+  if (t >= 4000) {
+    x = t <= 7000
+      ? -4.6070e9 / (t * t * t) + 2.9678e6 / (t * t) + 0.09911e3 / t + 0.244063
+      : -2.0064e9 / (t * t * t) + 1.9018e6 / (t * t) + 0.24748e3 / t + 0.237040;
+    y = -3.0 * x * x + 2.870 * x - 0.275;
+  } else {
+    x = -0.2661239e9 / (t * t * t) - 0.2343589e6 / (t * t) + 0.8776956e3 / t + 0.179910;
+    y = t <= 2222
+      ? -1.1063814 * x * x * x - 1.34811020 * x * x + 2.18555832 * x - 0.20219683
+      : -0.9549476 * x * x * x - 1.37418593 * x * x + 2.09137015 * x - 0.16748867;
   }
   
-  addToScene() {
-    this.scene.add(this.group);
-    this.scene.add(this.helper);
+  const X = x / y;
+  const Z = (1 - x - y) / y;
+  return new THREE.Color(
+    Math.max(0, 3.2404542 * X - 1.5371385 - 0.4985314 * Z),
+    Math.max(0, -0.9692660 * X + 1.8760108 + 0.0415560 * Z),
+    Math.max(0, 0.0556434 * X - 0.2040259 + 1.0572252 * Z)
+  );
+}
+
+// Pixel size of a texture source (image, bitmap, canvas or video)
+function getSourceSize(source) {
+  if (!source) return { width: 0, height: 0 };
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0
+  };
+}
+
+// Crop of an image refitted to a target aspect around its centre, in normalized image coordinates
+function fitCropToAspect(crop, imageAspect, targetAspect) {
+  const ratio = targetAspect / imageAspect; // Normalized width / height for the target aspect
+  
+  let width = crop.width;
+  let height = width / ratio;
+  if (height > 1) {
+    height = 1;
+    width = ratio;
+  }
+  if (width > 1) {
+    width = 1;
+    height = 1 / ratio;
   }
   
-  removeFromScene() {
-    this.scene.remove(this.group);
-    this.scene.remove(this.helper);
+  const centerX = crop.x + crop.width / 2;
+  const centerY = crop.y + crop.height / 2;
+  
+  return {
+    x: THREE.MathUtils.clamp(centerX - width / 2, 0, 1 - width),
+    y: THREE.MathUtils.clamp(centerY - height / 2, 0, 1 - height),
+    width,
+    height
+  };
+}
+
+// Largest centred crop of an image with the target aspect
+function computeCenterCrop(imageAspect, targetAspect) {
+  return fitCropToAspect({ x: 0, y: 0, width: 1, height: 1 }, imageAspect, targetAspect);
+}
+
+// Maximum number of GPU textures a single image may be tiled into (bounded by texture units)
+const MAX_CONTENT_TILES = 8;
+
+// Longest side of the downscaled preview kept for tiled content (crop editor, material map slot)
+const CONTENT_PREVIEW_SIZE = 2048;
+
+// TiledImageContent Class - Keeps an image at source resolution as a grid of GPU-sized texture tiles
+class TiledImageContent {
+  constructor(width, height) {
+    this.width = width; // Source resolution
+    this.height = height;
+    this.scale = 1; // > 1 when the image had to be downscaled to fit the tile budget
+    this.tiles = []; // { texture, rect: Vector4(x, y, width, height) in normalized image coordinates }
   }
   
-  select() {
-    if (this.isSelected) return;
-    
-    this.isSelected = true;
-    this.helper.visible = true;
-    
-    // Highlight mesh
-    this.mesh.material.emissive.setHex(0x884400);
-    this.mesh.material.emissiveIntensity = 0.6;
-    
-    console.log('CinemaCamera selected:', this.name);
+  static needsTiling(image, maxTextureSize) {
+    const { width, height } = getSourceSize(image);
+    return width > maxTextureSize || height > maxTextureSize;
   }
   
-  deselect() {
-    if (!this.isSelected) return;
+  static async fromImage(image, maxTextureSize) {
+    const { width, height } = getSourceSize(image);
+    const content = new TiledImageContent(width, height);
+    
+    // Downscale only if the image can't be covered by the available tiles
+    const tileCount = (scale) => Math.ceil(width / (maxTextureSize * scale)) * Math.ceil(height / (maxTextureSize * scale));
+    while (tileCount(content.scale) > MAX_CONTENT_TILES) {
+      content.scale += 0.25;
+    }
+    if (content.scale > 1) {
+      console.warn(`Content exceeds ${MAX_CONTENT_TILES} tiles of ${maxTextureSize}px, downscaling by ${content.scale}x`);
+    }
     
-    this.isSelected = false;
-    this.helper.visible = false;
+    const sourceTileSize = Math.floor(maxTextureSize * content.scale);
     
-    // Remove highlight
-    this.mesh.material.emissive.setHex(0x442200);
-    this.mesh.material.emissiveIntensity = 0.3;
+    for (let y = 0; y < height; y += sourceTileSize) {
+      for (let x = 0; x < width; x += sourceTileSize) {
+        const tileWidth = Math.min(sourceTileSize, width - x);
+        const tileHeight = Math.min(sourceTileSize, height - y);
+        
+        const bitmap = await createImageBitmap(image, x, y, tileWidth, tileHeight, {
+          resizeWidth: Math.min(maxTextureSize, Math.round(tileWidth / content.scale)),
+          resizeHeight: Math.min(maxTextureSize, Math.round(tileHeight / content.scale)),
+          resizeQuality: 'high'
+        });
+        
+        const texture = new THREE.Texture(bitmap);
+        texture.flipY = false;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.needsUpdate = true;
+        
+        content.tiles.push({
+          texture,
+          rect: new THREE.Vector4(x / width, y / height, tileWidth / width, tileHeight / height)
+        });
+      }
+    }
     
-    console.log('CinemaCamera deselected:', this.name);
+    console.log(`Tiled ${width}x${height} content into ${content.tiles.length} textures`);
+    return content;
   }
   
-  setFocalLength(length) {
-    this.focalLength = length;
-    this.updateCameraSettings();
+  // Downscaled copy used where a single texture is needed (crop editor, material map slot)
+  createPreviewTexture(image) {
+    const scale = Math.min(1, CONTENT_PREVIEW_SIZE / Math.max(this.width, this.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(this.width * scale);
+    canvas.height = Math.round(this.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.tiledContent = this;
+    return texture;
   }
   
-  setSensorSize(size) {
-    this.sensorSize = size;
-    this.updateCameraSettings();
+  dispose() {
+    this.tiles.forEach(({ texture }) => {
+      if (texture.image && texture.image.close) texture.image.close();
+      texture.dispose();
+    });
+    this.tiles = [];
   }
-  
-  updateCameraSettings() {
-    const fov = 2 * Math.atan(this.sensorSize / (2 * this.focalLength)) * 180 / Math.PI;
-    this.camera.fov = fov;
-    this.camera.updateProjectionMatrix();
+}
+
+// Source resolution of content, which may be larger than its texture image when tiled
+function getContentResolution(texture) {
+  if (!texture) return { width: 0, height: 0 };
+  if (texture.tiledContent) {
+    return { width: texture.tiledContent.width, height: texture.tiledContent.height };
+  }
+  return getSourceSize(texture.image);
+}
+
+// Most image layers in a parallax composition (each takes a texture unit in the LED shader)
+const MAX_PARALLAX_LAYERS = 6;
+
+// ParallaxContent Class - 2.5D wall content: image layers wrapped on cylinders around the nodal point at their
+// depth, so they line up as composed from the nodal point and shift with parallax as the tracked camera moves
+class ParallaxContent {
+  constructor() {
+    this.layers = []; // { id, name, texture, depth (m), offsetY (fraction of layer height) }, far to near
+    this.fieldOfView = 180; // Degrees of the composition around the nodal point
+    this.nodalPoint = new THREE.Vector3(0, 1.7, 0); // Metres, where the layers line up as composed
+    
+    // Flattened view from the nodal point, used as the surface content texture (lighting, resolution, previews)
+    this.texture = new THREE.CanvasTexture(document.createElement('canvas'));
+    this.texture.flipY = false;
+    this.texture.parallaxContent = this;
+    this.texture.userData.isCustomTexture = true;
+    this.texture.userData.sourceName = 'Parallax layers';
+    
+    // Shared with every LED surface material showing this content
+    this.uniforms = {
+      parallaxMaps: { value: [] },
+      parallaxLayers: { value: [] }, // Vector4 per layer: depth, image aspect, vertical offset, unused
+      parallaxEye: { value: new THREE.Vector3() },
+      parallaxNodalPoint: { value: this.nodalPoint },
+      parallaxFieldOfView: { value: Math.PI }
+    };
     
-    if (this.helper) {
-      this.helper.update();
-      this.helper.updateMatrixWorld(true);
-    }
+    this.update();
   }
   
-  capture(app) {
-    // Create temporary high-resolution renderer
-    const captureRenderer = new THREE.WebGLRenderer({ 
-      antialias: true,
-      preserveDrawingBuffer: true 
-    });
-    captureRenderer.setSize(1920, 1080);
-    captureRenderer.setClearColor(0x000000);
-    captureRenderer.shadowMap.enabled = true;
-    captureRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    
-    // Store and hide camera visuals
-    const originalVisibilities = app.hideCameraVisualsForCapture();
-    
-    // Render and download
-    captureRenderer.render(this.scene, this.camera);
+  async addLayer(file) {
+    if (this.layers.length >= MAX_PARALLAX_LAYERS) {
+      throw new Error(`Parallax compositions are limited to ${MAX_PARALLAX_LAYERS} layers`);
+    }
     
-    const canvas = captureRenderer.domElement;
-    const link = document.createElement('a');
-    link.download = `${this.name}_capture.png`;
-    link.href = canvas.toDataURL();
-    link.click();
+    const url = URL.createObjectURL(file);
+    let texture;
+    try {
+      texture = await new THREE.TextureLoader().loadAsync(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
     
-    // Restore visibilities and cleanup
-    app.restoreCameraVisualsAfterCapture(originalVisibilities);
-    captureRenderer.dispose();
+    texture.flipY = false;
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    
+    // New layers go in front of the existing ones
+    const nearest = this.layers[this.layers.length - 1];
+    const layer = {
+      id: generateUniqueId(),
+      name: file.name.replace(/\.[^/.]+$/, ''),
+      texture,
+      depth: nearest ? Math.max(nearest.depth / 2, 1) : 50,
+      offsetY: 0
+    };
     
-    console.log('Camera view captured:', this.name);
+    this.layers.push(layer);
+    this.update();
+    console.log('Parallax layer added:', layer.name, `at ${layer.depth}m`);
+    return layer;
   }
   
-  delete() {
-    this.removeFromScene();
-    
-    // Dispose of resources
-    this.mesh.geometry.dispose();
-    this.mesh.material.dispose();
-    this.helper.dispose();
+  removeLayer(id) {
+    const layer = this.layers.find(l => l.id === id);
+    if (!layer) return;
     
-    console.log('CinemaCamera deleted:', this.name);
-  }
-}
-
-// LEDStudioManager Class - Manages different LED studio environments
-class LEDStudioManager {
-  constructor(scene) {
-    this.scene = scene;
-    this.studioPath = 'public/LED_Studio/';
-    this.availableStudios = [];
-    this.currentStudio = null;
-    this.currentStudioMesh = null;
-    this.isLoaded = false;
+    layer.texture.dispose();
+    this.layers = this.layers.filter(l => l !== layer);
+    this.update();
   }
   
-  async loadAvailableStudios() {
-    try {
-      // Define known studios based on folder structure
-      const knownStudios = [
-        { name: 'MADRID_15X5', displayName: 'Madrid 15x5', gltfFile: 'LED_Studio_Madrid.gltf' },
-        { name: 'BARCELONA', displayName: 'Barcelona', gltfFile: 'LED_Studio_Barcelona.gltf' }
-      ];
-      
-      this.availableStudios = [];
-      
-      for (const studio of knownStudios) {
-        const studioData = await this.loadStudioData(studio);
-        if (studioData) {
-          this.availableStudios.push(studioData);
-        }
-      }
-      
-      this.isLoaded = true;
-      console.log('LED Studios loaded:', this.availableStudios);
-      return this.availableStudios;
-      
-    } catch (error) {
-      console.error('Error loading LED studios:', error);
-      return [];
-    }
+  setLayer(id, settings) {
+    const layer = this.layers.find(l => l.id === id);
+    if (!layer) return;
+    
+    Object.assign(layer, settings);
+    this.update();
   }
   
-  async loadStudioData(studioInfo) {
-    try {
-      const studioPath = `${this.studioPath}${studioInfo.name}/${studioInfo.gltfFile}`;
-      
-      // Check if studio file exists
-      const exists = await this.checkFileExists(studioPath);
-      
-      if (exists) {
-        return {
-          name: studioInfo.name,
-          displayName: studioInfo.displayName,
-          gltfPath: studioPath,
-          folderPath: `${this.studioPath}${studioInfo.name}/`
-        };
-      }
-      
-      return null;
-      
-    } catch (error) {
-      console.warn(`Could not load studio data for ${studioInfo.name}:`, error);
-      return null;
-    }
+  setFieldOfView(degrees) {
+    this.fieldOfView = THREE.MathUtils.clamp(degrees, 10, 360);
+    this.update();
   }
   
-  async checkFileExists(url) {
-    try {
-      const response = await fetch(url, { method: 'HEAD' });
-      return response.ok;
-    } catch (error) {
-      return false;
-    }
+  setNodalPoint(point) {
+    this.nodalPoint.set(point.x, point.y, point.z);
+    this.update();
   }
   
-  getStudios() {
-    return this.availableStudios;
+  // Sort the layers far to near and refresh the uniforms and nodal view
+  update() {
+    this.layers.sort((a, b) => b.depth - a.depth);
+    
+    this.uniforms.parallaxMaps.value = this.layers.map(layer => layer.texture);
+    this.uniforms.parallaxLayers.value = this.layers.map(layer => new THREE.Vector4(layer.depth, this.getLayerAspect(layer), layer.offsetY, 0));
+    this.uniforms.parallaxFieldOfView.value = THREE.MathUtils.degToRad(this.fieldOfView);
+    
+    this.drawNodalView();
   }
   
-  getStudioByName(name) {
-    return this.availableStudios.find(studio => studio.name === name);
+  getLayerAspect(layer) {
+    const { width, height } = getSourceSize(layer.texture.image);
+    return width > 0 && height > 0 ? width / height : 1;
   }
   
-  getCurrentStudio() {
-    return this.currentStudio;
+  // Draw the composition as seen from the nodal point; a new canvas so cached samples of the old one aren't reused
+  drawNodalView() {
+    const canvas = document.createElement('canvas');
+    const far = this.layers[0];
+    canvas.width = 1024;
+    canvas.height = Math.round(canvas.width / (far ? this.getLayerAspect(far) : 2));
+    
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    
+    if (far) {
+      // Layers span the field of view horizontally; heights are in the same angular units, so they compose in 2D
+      const fov = THREE.MathUtils.degToRad(this.fieldOfView);
+      const farHeight = fov / this.getLayerAspect(far);
+      const farTop = (0.5 + far.offsetY) * farHeight;
+      
+      this.layers.forEach((layer) => {
+        const height = fov / this.getLayerAspect(layer);
+        const top = (0.5 + layer.offsetY) * height;
+        context.drawImage(layer.texture.image, 0, (farTop - top) / farHeight * canvas.height, canvas.width, height / farHeight * canvas.height);
+      });
+    }
+    
+    this.texture.image = canvas;
+    this.texture.needsUpdate = true;
   }
   
-  async switchStudio(studioName, preserveScreenState = true) {
-    const studio = this.getStudioByName(studioName);
-    if (!studio) {
-      console.error('Studio not found:', studioName);
-      return false;
+  // Follow the tracked camera, or show the composition from the nodal point when there is none
+  track(cinemaCamera) {
+    if (cinemaCamera) {
+      cinemaCamera.camera.getWorldPosition(this.uniforms.parallaxEye.value);
+    } else {
+      this.uniforms.parallaxEye.value.copy(this.nodalPoint);
+    }
+  }
+}
+
+// Declarations available to procedural content shaders, ahead of the user's code
+const SHADER_CONTENT_HEADER = `uniform float uTime; // Seconds
+uniform vec2 uResolution; // Pixels
+uniform vec4 uSliders; // User sliders 1-4, each 0-1
+varying vec2 vUv; // 0-1, origin at the bottom left
+// User shader`;
+
+const SHADER_CONTENT_VERTEX = `varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4( position.xy, 0.0, 1.0 );
+}`;
+
+// Height procedural content is rendered at; the width follows the studio canvas aspect
+const SHADER_CONTENT_HEIGHT = 720;
+
+// Starting points for the shader editor
+const SHADER_PRESETS = {
+  gradient: {
+    name: 'Sky Gradient',
+    sliders: [0.6, 0.1, 0.5, 0.2],
+    source: `// Sliders: top hue, horizon hue, horizon height, drift
+vec3 hue( float h ) {
+  return clamp( abs( mod( h * 6.0 + vec3( 0.0, 4.0, 2.0 ), 6.0 ) - 3.0 ) - 1.0, 0.0, 1.0 );
+}
+
+void main() {
+  float drift = sin( uTime * uSliders.w ) * 0.05;
+  float t = smoothstep( uSliders.z - 0.3, uSliders.z + 0.5, vUv.y + drift );
+  vec3 top = mix( vec3( 1.0 ), hue( uSliders.x ), 0.7 ) * 0.8;
+  vec3 horizon = mix( vec3( 1.0 ), hue( uSliders.y ), 0.6 );
+  gl_FragColor = vec4( mix( horizon, top, t ), 1.0 );
+}`
+  },
+  clouds: {
+    name: 'Noise Sky',
+    sliders: [0.2, 0.5, 0.5, 0.6],
+    source: `// Sliders: wind speed, cloud cover, softness, sky blue
+float hash( vec2 p ) {
+  return fract( sin( dot( p, vec2( 127.1, 311.7 ) ) ) * 43758.5453 );
+}
+
+float noise( vec2 p ) {
+  vec2 i = floor( p );
+  vec2 f = fract( p );
+  vec2 u = f * f * ( 3.0 - 2.0 * f );
+  return mix( mix( hash( i ), hash( i + vec2( 1.0, 0.0 ) ), u.x ),
+              mix( hash( i + vec2( 0.0, 1.0 ) ), hash( i + vec2( 1.0, 1.0 ) ), u.x ), u.y );
+}
+
+float fbm( vec2 p ) {
+  float value = 0.0;
+  float amplitude = 0.5;
+  for ( int i = 0; i < 5; i ++ ) {
+    value += amplitude * noise( p );
+    p *= 2.0;
+    amplitude *= 0.5;
+  }
+  return value;
+}
+
+void main() {
+  vec2 p = vUv * vec2( uResolution.x / uResolution.y, 1.0 ) * 3.0;
+  p.x += uTime * uSliders.x;
+  float clouds = smoothstep( 1.0 - uSliders.y, 1.0 - uSliders.y + 0.1 + uSliders.z * 0.5, fbm( p ) );
+  vec3 sky = mix( vec3( 0.75, 0.85, 0.95 ), vec3( 0.2, 0.45, 0.85 ), uSliders.w * vUv.y + 0.2 );
+  gl_FragColor = vec4( mix( sky, vec3( 0.95 ), clouds ), 1.0 );
+}`
+  },
+  flicker: {
+    name: 'Light Flicker',
+    sliders: [0.5, 0.4, 0.7, 0.8],
+    source: `// Sliders: flicker speed, flicker depth, warmth, brightness
+float hash( float n ) {
+  return fract( sin( n ) * 43758.5453 );
+}
+
+float flicker( float t ) {
+  float i = floor( t );
+  return mix( hash( i ), hash( i + 1.0 ), smoothstep( 0.0, 1.0, fract( t ) ) );
+}
+
+void main() {
+  float level = 1.0 - uSliders.y * flicker( uTime * ( 2.0 + uSliders.x * 20.0 ) );
+  vec3 warm = mix( vec3( 1.0 ), vec3( 1.0, 0.55, 0.2 ), uSliders.z );
+  gl_FragColor = vec4( warm * level * uSliders.w, 1.0 );
+}`
+  },
+  plasma: {
+    name: 'Plasma',
+    sliders: [0.3, 0.5, 0.5, 1.0],
+    source: `// Sliders: speed, scale, colour shift, brightness
+void main() {
+  vec2 p = vUv * vec2( uResolution.x / uResolution.y, 1.0 ) * ( 2.0 + uSliders.y * 10.0 );
+  float t = uTime * uSliders.x * 4.0;
+  float v = sin( p.x + t ) + sin( p.y + t * 0.7 ) + sin( p.x + p.y + t * 1.3 ) + sin( length( p ) - t );
+  vec3 color = 0.5 + 0.5 * cos( v + uSliders.z * 6.2832 + vec3( 0.0, 2.0, 4.0 ) );
+  gl_FragColor = vec4( color * uSliders.w, 1.0 );
+}`
+  }
+};
+
+// One offscreen renderer draws all procedural content, so each shader doesn't hold its own WebGL context
+let shaderContentStage = null;
+
+function getShaderContentStage() {
+  if (!shaderContentStage) {
+    const renderer = new THREE.WebGLRenderer({ antialias: false });
+    const scene = new THREE.Scene();
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    quad.frustumCulled = false;
+    scene.add(quad);
+    
+    shaderContentStage = { renderer, scene, quad, camera: new THREE.OrthographicCamera(), error: null };
+    
+    // Collect compile errors with line numbers counted from the start of the user's code
+    renderer.debug.onShaderError = (gl, program, vertexShader, fragmentShader) => {
+      const log = gl.getShaderInfoLog(fragmentShader).trim() || gl.getProgramInfoLog(program).trim();
+      const offset = gl.getShaderSource(fragmentShader).split('\n').findIndex(line => line.includes('// User shader')) + 1;
+      shaderContentStage.error = log.replace(/ERROR: \d+:(\d+):/g, (match, line) => `Line ${line - offset}:`);
+    };
+  }
+  return shaderContentStage;
+}
+
+// ShaderContent Class - Procedural surface content from a user fragment shader, redrawn every frame
+class ShaderContent {
+  constructor(source, { width, height, sliders = [0.5, 0.5, 0.5, 0.5], name = 'Procedural shader' }) {
+    this.source = source;
+    this.name = name;
+    this.material = null;
+    this.playing = true;
+    this.time = 0;
+    this.lastUpdate = null;
+    
+    this.uniforms = {
+      uTime: { value: 0 },
+      uResolution: { value: new THREE.Vector2(width, height) },
+      uSliders: { value: new THREE.Vector4(...sliders) }
+    };
+    
+    // Frames are copied to a 2D canvas so the content can be uploaded by every renderer showing the wall
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.context = this.canvas.getContext('2d');
+    
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.flipY = false;
+    this.texture.wrapS = THREE.RepeatWrapping;
+    this.texture.wrapT = THREE.RepeatWrapping;
+    this.texture.shaderContent = this;
+    this.texture.userData.isCustomTexture = true;
+    this.texture.userData.sourceName = name;
+  }
+  
+  // Build the shader and draw the first frame; returns the compile error, or null on success
+  compile() {
+    const stage = getShaderContentStage();
+    const material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: SHADER_CONTENT_VERTEX,
+      fragmentShader: `${SHADER_CONTENT_HEADER}\n${this.source}`
+    });
+    
+    stage.error = null;
+    this.draw(material);
+    
+    if (stage.error) {
+      material.dispose();
+      return stage.error;
+    }
+    
+    if (this.material) this.material.dispose();
+    this.material = material;
+    return null;
+  }
+  
+  draw(material = this.material) {
+    if (!material) return;
+    
+    const stage = getShaderContentStage();
+    const { width, height } = this.canvas;
+    const size = stage.renderer.getSize(new THREE.Vector2());
+    if (size.x !== width || size.y !== height) {
+      stage.renderer.setSize(width, height, false);
+    }
+    stage.quad.material = material;
+    stage.renderer.render(stage.scene, stage.camera);
+    
+    this.context.drawImage(stage.renderer.domElement, 0, 0);
+    this.texture.needsUpdate = true;
+  }
+  
+  getSliders() {
+    return this.uniforms.uSliders.value.toArray();
+  }
+  
+  setSlider(index, value) {
+    this.uniforms.uSliders.value.setComponent(index, value);
+    if (!this.playing) this.draw();
+  }
+  
+  togglePlay() {
+    this.playing = !this.playing;
+    this.lastUpdate = null;
+  }
+  
+  // Called every frame to advance time and redraw
+  update(now) {
+    if (!this.playing) return;
+    
+    if (this.lastUpdate !== null) {
+      this.time += (now - this.lastUpdate) / 1000;
+    }
+    this.lastUpdate = now;
+    this.uniforms.uTime.value = this.time;
+    this.draw();
+  }
+  
+  dispose() {
+    if (this.material) this.material.dispose();
+    this.material = null;
+    this.texture.dispose();
+    
+    console.log('Shader content disposed:', this.name);
+  }
+}
+
+const TEST_PATTERNS = {
+  smpte: 'SMPTE Bars',
+  grid: 'Cabinet Grid',
+  checkerboard: 'Checkerboard',
+  gradient: 'Gradient',
+  circles: 'Circles',
+  solid: 'Solid Colour'
+};
+
+// TestPatternGenerator - Procedural diagnostic patterns drawn at the LED canvas resolution
+class TestPatternGenerator {
+  // options: { width, height, color, grid: { columns, rows, bounds, label } }
+  static createTexture(pattern, options) {
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width;
+    canvas.height = options.height;
+    const ctx = canvas.getContext('2d');
+    
+    switch (pattern) {
+      case 'smpte': TestPatternGenerator.drawSMPTEBars(ctx, canvas.width, canvas.height); break;
+      case 'grid': TestPatternGenerator.drawGrid(ctx, canvas.width, canvas.height, options.grid); break;
+      case 'checkerboard': TestPatternGenerator.drawCheckerboard(ctx, canvas.width, canvas.height); break;
+      case 'gradient': TestPatternGenerator.drawGradient(ctx, canvas.width, canvas.height); break;
+      case 'circles': TestPatternGenerator.drawCircles(ctx, canvas.width, canvas.height); break;
+      case 'solid':
+        ctx.fillStyle = options.color || '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        break;
+      default:
+        throw new Error(`Unknown test pattern: ${pattern}`);
+    }
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.flipY = false;
+    
+    // Kept as a description so the pattern can be redrawn for another studio
+    texture.userData.isCustomTexture = true;
+    texture.userData.testPattern = { pattern, color: options.color || null };
+    texture.userData.sourceName = `${TEST_PATTERNS[pattern]} test pattern`;
+    
+    return texture;
+  }
+  
+  // SMPTE colour bars (75%), reverse blue bars and PLUGE
+  static drawSMPTEBars(ctx, width, height) {
+    const bars = ['#bfbfbf', '#bfbf00', '#00bfbf', '#00bf00', '#bf00bf', '#bf0000', '#0000bf'];
+    const reverseBars = ['#0000bf', '#131313', '#bf00bf', '#131313', '#00bfbf', '#131313', '#bfbfbf'];
+    const barWidth = width / 7;
+    const topHeight = Math.round(height * 0.67);
+    const middleHeight = Math.round(height * 0.08);
+    
+    bars.forEach((color, i) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(Math.floor(i * barWidth), 0, Math.ceil(barWidth), topHeight);
+    });
+    reverseBars.forEach((color, i) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(Math.floor(i * barWidth), topHeight, Math.ceil(barWidth), middleHeight);
+    });
+    
+    // -I, 100% white, +Q, black, then PLUGE (below black, black, above black) and black
+    const bottomY = topHeight + middleHeight;
+    const bottomHeight = height - bottomY;
+    const wideWidth = barWidth * 5 / 4;
+    const bottom = [
+      ['#00214c', wideWidth], ['#ffffff', wideWidth], ['#32006a', wideWidth], ['#131313', wideWidth],
+      ['#090909', barWidth / 3], ['#131313', barWidth / 3], ['#1d1d1d', barWidth / 3], ['#131313', barWidth]
+    ];
+    let x = 0;
+    bottom.forEach(([color, w]) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(Math.floor(x), bottomY, Math.ceil(w), bottomHeight);
+      x += w;
+    });
+  }
+  
+  // Numbered grid; with cabinet info the cells match the physical cabinets of a surface
+  static drawGrid(ctx, width, height, grid) {
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    
+    let columns, rows, region;
+    if (grid) {
+      columns = grid.columns;
+      rows = grid.rows;
+      region = {
+        x: grid.bounds.min.x * width,
+        y: grid.bounds.min.y * height,
+        width: (grid.bounds.max.x - grid.bounds.min.x) * width,
+        height: (grid.bounds.max.y - grid.bounds.min.y) * height
+      };
+    } else {
+      rows = 8;
+      columns = Math.max(1, Math.round(rows * width / height));
+      region = { x: 0, y: 0, width, height };
+    }
+    
+    const cellWidth = region.width / columns;
+    const cellHeight = region.height / rows;
+    const fontSize = Math.max(10, Math.round(Math.min(cellWidth, cellHeight) / 4));
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `${fontSize}px sans-serif`;
+    
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const x = region.x + column * cellWidth;
+        const y = region.y + row * cellHeight;
+        
+        ctx.fillStyle = (column + row) % 2 === 0 ? '#202020' : '#303030';
+        ctx.fillRect(x, y, cellWidth, cellHeight);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = Math.max(1, Math.round(fontSize / 10));
+        ctx.strokeRect(x, y, cellWidth, cellHeight);
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(String(row * columns + column + 1), x + cellWidth / 2, y + cellHeight / 2);
+      }
+    }
+    
+    if (grid && grid.label) {
+      ctx.fillStyle = '#ffd400';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText(grid.label, region.x + fontSize / 2, region.y + fontSize / 2);
+    }
+  }
+  
+  static drawCheckerboard(ctx, width, height) {
+    const size = height / 8;
+    for (let y = 0; y * size < height; y++) {
+      for (let x = 0; x * size < width; x++) {
+        ctx.fillStyle = (x + y) % 2 === 0 ? '#ffffff' : '#000000';
+        ctx.fillRect(Math.floor(x * size), Math.floor(y * size), Math.ceil(size), Math.ceil(size));
+      }
+    }
+  }
+  
+  // Grey ramp over red, green and blue ramps, with 10% step marks
+  static drawGradient(ctx, width, height) {
+    const ramps = ['#ffffff', '#ff0000', '#00ff00', '#0000ff'];
+    const rampHeight = height / ramps.length;
+    
+    ramps.forEach((color, i) => {
+      const gradient = ctx.createLinearGradient(0, 0, width, 0);
+      gradient.addColorStop(0, '#000000');
+      gradient.addColorStop(1, color);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, Math.floor(i * rampHeight), width, Math.ceil(rampHeight));
+    });
+    
+    ctx.fillStyle = '#808080';
+    for (let step = 1; step < 10; step++) {
+      ctx.fillRect(Math.round(width * step / 10), 0, 2, height * 0.03);
+    }
+  }
+  
+  // Circles that only stay round when the content isn't stretched
+  static drawCircles(ctx, width, height) {
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    
+    const lineWidth = Math.max(2, Math.round(height / 270));
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = lineWidth;
+    
+    // Centre cross
+    ctx.beginPath();
+    ctx.moveTo(width / 2, 0);
+    ctx.lineTo(width / 2, height);
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+    
+    // Row of circles filling the height across the canvas
+    const radius = height / 2 - lineWidth;
+    const count = Math.max(1, Math.floor(width / height));
+    const spacing = width / count;
+    for (let i = 0; i < count; i++) {
+      ctx.beginPath();
+      ctx.arc(spacing * (i + 0.5), height / 2, radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    ctx.strokeStyle = '#ffd400';
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, radius / 2, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+}
+
+// LEDs only emit: drop the light, environment and area light reflections computed for an LED material,
+// so they can't add to its calibrated output or light the wall with its own content
+function removeReflectedLight(fragmentShader) {
+  return fragmentShader.replace('#include <lights_fragment_end>', `#include <lights_fragment_end>
+    reflectedLight = ReflectedLight( vec3( 0.0 ), vec3( 0.0 ), vec3( 0.0 ), vec3( 0.0 ) );`);
+}
+
+// LEDSurface Class - A single addressable LED surface (curve, ceiling, totem...) of a studio
+class LEDSurface {
+  constructor(key, node, meshes, sourceMaterial) {
+    this.key = key;
+    this.name = key;
+    this.node = node;
+    this.meshes = meshes;
+    
+    // Each surface gets its own copy of the screen material so content and brightness are independent
+    this.material = sourceMaterial.clone();
+    this.originalBaseColorTexture = sourceMaterial.map;
+    this.originalEmissiveTexture = sourceMaterial.emissiveMap;
+    this.originalEmissiveIntensity = sourceMaterial.emissiveIntensity || 1;
+    this.material.color.setHex(0x000000); // Lit only by its emission, see removeReflectedLight
+    this.material.envMapIntensity = 0;
+    
+    this.sourceTexture = null; // Content texture, shared between surfaces showing the same content
+    this.currentTexture = null; // Surface-local copy of the content carrying this surface's transform
+    this.contentVersion = 0; // Version of the content the copy was last uploaded from
+    this.videoContent = null;
+    this.crop = null; // Region of the content shown on the canvas, null = whole texture
+    this.canvas = { aspect: DEFAULT_CANVAS_ASPECT, width: 0, height: 0 }; // Studio canvas the surface maps into
+    this.display = createDefaultDisplaySettings();
+    this.hdr = createDefaultHDRSettings(); // Used instead of the EOTF for floating-point content
+    this.brightness = this.getDefaultBrightness(); // Fraction of peak luminance, as set on the processor
+    this.enabled = true;
+    this.fade = 1; // Output multiplier for dips to black between cues
+    this.transform = createDefaultTextureTransform();
+    
+    this.transitionTexture = null; // Outgoing content while crossfading to new content
+    this.transitionSource = null; // { texture, videoContent } the outgoing content came from
+    this.transitionFromIntensity = 0;
+    
+    this.mapping = createDefaultMapping();
+    this.innerFrustum = null; // InnerFrustum composited over the content, if enabled
+    
+    this.seamMaterial = null; // Cabinet seam overlay, if shown
+    this.seamMeshes = [];
+    
+    // Shared uniform objects so content and mapping can change without recompiling the shader
+    this.tileUniforms = {
+      tileMaps: { value: [] },
+      tileRects: { value: [] }
+    };
+    this.equirectUniforms = {
+      equirectNodalPoint: { value: new THREE.Vector3() },
+      equirectRotation: { value: new THREE.Matrix3() },
+      equirectHorizon: { value: 0 }
+    };
+    this.contentUniforms = {
+      contentRegion: { value: new THREE.Vector4(0, 0, 1, 1) },
+      contentClamp: { value: 0 }
+    };
+    this.transitionUniforms = {
+      transitionMap: { value: null },
+      transitionMatrix: { value: new THREE.Matrix3() },
+      transitionRegion: { value: new THREE.Vector4(0, 0, 1, 1) },
+      transitionClamp: { value: 0 },
+      transitionMix: { value: 1 }
+    };
+    this.displayUniforms = {
+      ledEotf: { value: LED_EOTFS.srgb },
+      ledContentToDisplay: { value: new THREE.Matrix3() },
+      ledDisplayNits: { value: 1 },
+      ledHdrExposure: { value: 1 },
+      ledHdrCurve: { value: HDR_TONE_CURVES.reinhard },
+      ledHdrWhite: { value: 8 }
+    };
+    
+    this.updateShader();
+    this.assignMaterial(sourceMaterial);
+  }
+  
+  assignMaterial(sourceMaterial) {
+    this.meshes.forEach((mesh) => {
+      if (Array.isArray(mesh.material)) {
+        mesh.material = mesh.material.map(mat => mat === sourceMaterial ? this.material : mat);
+      } else {
+        mesh.material = this.material;
+      }
+    });
+  }
+  
+  setContent(texture, videoContent = null) {
+    this.disposeCurrentTexture();
+    
+    this.sourceTexture = texture;
+    this.videoContent = videoContent;
+    
+    if (texture) {
+      // Clone shares the image source but lets each surface keep its own offset/repeat
+      this.currentTexture = texture.clone();
+      this.currentTexture.colorSpace = THREE.NoColorSpace; // The display model decodes the raw signal
+      this.contentVersion = texture.version;
+      if (!texture.isVideoTexture) {
+        this.currentTexture.needsUpdate = true; // Video textures update themselves per frame
+      }
+      this.applyTransform();
+    }
+    
+    this.updateShader();
+    this.updateMaterial();
+  }
+  
+  // Patch the material shader for content decoding, tiled content, panorama mapping and the inner frustum
+  updateShader() {
+    const tiledContent = this.sourceTexture ? this.sourceTexture.tiledContent : null;
+    const parallax = this.sourceTexture ? this.sourceTexture.parallaxContent : null;
+    const isEquirect = this.mapping.mode === 'equirect' && !parallax;
+    const innerFrustum = this.innerFrustum;
+    
+    this.tileUniforms.tileMaps.value = tiledContent ? tiledContent.tiles.map(tile => tile.texture) : [];
+    this.tileUniforms.tileRects.value = tiledContent ? tiledContent.tiles.map(tile => tile.rect) : [];
+    this.updateEquirectUniforms();
+    
+    // The studio's own screen texture is already decoded, so it only needs the reflections removed
+    if (!this.sourceTexture && !innerFrustum) {
+      this.material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = removeReflectedLight(shader.fragmentShader);
+      };
+      this.material.customProgramCacheKey = () => 'led-studio';
+      return;
+    }
+    
+    const tileCount = tiledContent ? tiledContent.tiles.length : 0;
+    const layerCount = parallax ? parallax.layers.length : 0;
+    const needsWorldPosition = isEquirect || Boolean(innerFrustum) || Boolean(parallax);
+    const decodeSignal = Boolean(this.sourceTexture);
+    const isHDR = isHDRTexture(this.sourceTexture);
+    const crossfade = Boolean(this.transitionTexture && this.sourceTexture);
+    
+    this.material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.tileUniforms, this.contentUniforms, this.equirectUniforms, this.displayUniforms);
+      if (crossfade) {
+        Object.assign(shader.uniforms, this.transitionUniforms);
+      }
+      if (parallax) {
+        Object.assign(shader.uniforms, parallax.uniforms);
+      }
+      if (innerFrustum) {
+        Object.assign(shader.uniforms, innerFrustum.uniforms);
+      }
+      
+      let contentFunctions = '';
+      
+      if (tiledContent) {
+        contentFunctions += `
+          uniform sampler2D tileMaps[ ${tileCount} ];
+          uniform vec4 tileRects[ ${tileCount} ];
+          
+          vec4 sampleContentGrad( vec2 uv, vec2 dx, vec2 dy ) {
+            uv = fract( uv );
+            vec4 color = vec4( 0.0 );
+            #pragma unroll_loop_start
+            for ( int i = 0; i < ${tileCount}; i ++ ) {
+              if ( all( greaterThanEqual( uv, tileRects[ i ].xy ) ) && all( lessThan( uv, tileRects[ i ].xy + tileRects[ i ].zw ) ) ) {
+                color = textureGrad( tileMaps[ i ], ( uv - tileRects[ i ].xy ) / tileRects[ i ].zw, dx / tileRects[ i ].zw, dy / tileRects[ i ].zw );
+              }
+            }
+            #pragma unroll_loop_end
+            return color;
+          }`;
+      } else {
+        contentFunctions += `
+          vec4 sampleContentGrad( vec2 uv, vec2 dx, vec2 dy ) {
+            return textureGrad( map, uv, dx, dy );
+          }`;
+      }
+      
+      contentFunctions += `
+        uniform vec4 contentRegion;
+        uniform float contentClamp;
+        
+        vec4 sampleContent( vec2 uv ) {
+          // Gradients ignore the longitude wrap so the panorama seam doesn't pick the smallest mip
+          vec2 dx = dFdx( uv );
+          vec2 dy = dFdy( uv );
+          dx.x -= sign( dx.x ) * step( 0.5, abs( dx.x ) );
+          dy.x -= sign( dy.x ) * step( 0.5, abs( dy.x ) );
+          return sampleContentGrad( uv, dx, dy );
+        }
+        
+        // Transformed canvas position to the cropped content region, repeated or black outside it
+        vec4 sampleCanvas( vec2 local ) {
+          // Gradients come from the unwrapped position so tile edges don't pick the smallest mip
+          vec2 dx = dFdx( local ) * contentRegion.zw;
+          vec2 dy = dFdy( local ) * contentRegion.zw;
+          if ( contentClamp > 0.5 ) {
+            if ( any( lessThan( local, vec2( 0.0 ) ) ) || any( greaterThan( local, vec2( 1.0 ) ) ) ) return vec4( 0.0, 0.0, 0.0, 1.0 );
+          } else {
+            local = fract( local );
+          }
+          return sampleContentGrad( contentRegion.xy + local * contentRegion.zw, dx, dy );
+        }
+        
+        uniform int ledEotf;
+        uniform mat3 ledContentToDisplay;
+        uniform float ledDisplayNits;
+        
+        // Content signal to linear light relative to the wall's output, in the renderer's primaries
+        vec3 ledDecodeSignal( vec3 signal ) {
+          signal = clamp( signal, 0.0, 1.0 );
+          vec3 linear;
+          if ( ledEotf == 0 ) {
+            linear = mix( pow( signal * 0.9478672986 + vec3( 0.0521327014 ), vec3( 2.4 ) ), signal * 0.0773993808, vec3( lessThanEqual( signal, vec3( 0.04045 ) ) ) );
+          } else if ( ledEotf == 1 ) {
+            linear = pow( signal, vec3( 2.2 ) );
+          } else if ( ledEotf == 2 ) {
+            linear = pow( signal, vec3( 2.4 ) );
+          } else {
+            // SMPTE ST 2084 is absolute luminance, clipped at what the wall is set to output
+            vec3 p = pow( signal, vec3( 1.0 / 78.84375 ) );
+            vec3 nits = 10000.0 * pow( max( p - 0.8359375, 0.0 ) / ( 18.8515625 - 18.6875 * p ), vec3( 1.0 / 0.1593017578125 ) );
+            linear = min( nits / ledDisplayNits, vec3( 1.0 ) );
+          }
+          return max( ledContentToDisplay * linear, vec3( 0.0 ) );
+        }
+        
+        uniform float ledHdrExposure;
+        uniform int ledHdrCurve;
+        uniform float ledHdrWhite;
+        
+        // Scene-linear HDR content exposed and rolled off into the wall's output, in the renderer's primaries
+        vec3 ledToneMapHDR( vec3 value ) {
+          vec3 x = max( value, 0.0 ) * ledHdrExposure;
+          if ( ledHdrCurve == 1 ) {
+            x = x * ( 1.0 + x / ( ledHdrWhite * ledHdrWhite ) ) / ( 1.0 + x );
+          } else if ( ledHdrCurve == 2 ) {
+            x = ( x * ( 2.51 * x + 0.03 ) ) / ( x * ( 2.43 * x + 0.59 ) + 0.14 );
+          }
+          return max( ledContentToDisplay * min( x, vec3( 1.0 ) ), vec3( 0.0 ) );
+        }`;
+      
+      let contentSample = 'sampleCanvas( vMapUv )';
+      
+      if (isEquirect) {
+        contentFunctions += `
+          uniform vec3 equirectNodalPoint;
+          uniform mat3 equirectRotation;
+          uniform float equirectHorizon;
+          
+          // Longitude/latitude of the view ray from the nodal point; +Z (towards the wall) is the panorama centre
+          vec2 equirectUv() {
+            vec3 direction = normalize( equirectRotation * ( vLedWorldPosition - equirectNodalPoint ) );
+            float u = atan( - direction.x, direction.z ) / ( 2.0 * PI ) + 0.5;
+            float v = 0.5 - ( asin( clamp( direction.y, - 1.0, 1.0 ) ) - equirectHorizon ) / PI;
+            return vec2( u, clamp( v, 0.0, 1.0 ) );
+          }`;
+        contentSample = 'sampleContent( equirectUv() )';
+      }
+      
+      if (layerCount > 0) {
+        contentFunctions += `
+          uniform sampler2D parallaxMaps[ ${layerCount} ];
+          uniform vec4 parallaxLayers[ ${layerCount} ];
+          uniform vec3 parallaxEye;
+          uniform vec3 parallaxNodalPoint;
+          uniform float parallaxFieldOfView;
+          
+          // Where the view ray meets a layer's cylinder (radius = depth around the nodal point), as layer UVs
+          vec2 parallaxUv( vec3 direction, vec4 layer ) {
+            vec2 origin = parallaxEye.xz - parallaxNodalPoint.xz;
+            float a = max( dot( direction.xz, direction.xz ), 1e-6 );
+            float b = dot( origin, direction.xz );
+            float c = dot( origin, origin ) - layer.x * layer.x;
+            float t = ( - b + sqrt( max( b * b - a * c, 0.0 ) ) ) / a;
+            vec3 hit = parallaxEye + direction * t - parallaxNodalPoint;
+            
+            // Heights are in the same angular units as the width so the layer keeps its aspect
+            float u = atan( - hit.x, hit.z ) / parallaxFieldOfView + 0.5;
+            float v = 0.5 - hit.y / layer.x * layer.y / parallaxFieldOfView + layer.z;
+            return vec2( u, v );
+          }
+          
+          void compositeParallaxLayer( inout vec3 color, sampler2D layerMap, vec4 layer, vec3 direction ) {
+            vec2 uv = parallaxUv( direction, layer );
+            if ( all( greaterThanEqual( uv, vec2( 0.0 ) ) ) && all( lessThanEqual( uv, vec2( 1.0 ) ) ) ) {
+              vec4 layerColor = texture2D( layerMap, uv );
+              color = mix( color, layerColor.rgb, layerColor.a );
+            }
+          }
+          
+          // Layers composited far to near along the ray from the tracked camera through this point of the wall
+          vec4 sampleParallax() {
+            vec3 direction = vLedWorldPosition - parallaxEye;
+            vec3 color = vec3( 0.0 );
+            #pragma unroll_loop_start
+            for ( int i = 0; i < ${layerCount}; i ++ ) {
+              compositeParallaxLayer( color, parallaxMaps[ i ], parallaxLayers[ i ], direction );
+            }
+            #pragma unroll_loop_end
+            return vec4( color, 1.0 );
+          }`;
+        contentSample = 'sampleParallax()';
+      } else if (parallax) {
+        contentSample = 'vec4( 0.0, 0.0, 0.0, 1.0 )';
+      }
+      
+      if (crossfade) {
+        // The outgoing content keeps the placement it had on the canvas
+        contentFunctions += `
+          uniform sampler2D transitionMap;
+          uniform mat3 transitionMatrix;
+          uniform vec4 transitionRegion;
+          uniform float transitionClamp;
+          uniform float transitionMix;
+          varying vec2 vLedCanvasUv;
+          
+          vec4 sampleTransition() {
+            ${isEquirect ? 'return texture2D( transitionMap, equirectUv() );' : `
+            vec2 local = ( transitionMatrix * vec3( vLedCanvasUv, 1.0 ) ).xy;
+            vec2 dx = dFdx( local ) * transitionRegion.zw;
+            vec2 dy = dFdy( local ) * transitionRegion.zw;
+            if ( transitionClamp > 0.5 ) {
+              if ( any( lessThan( local, vec2( 0.0 ) ) ) || any( greaterThan( local, vec2( 1.0 ) ) ) ) return vec4( 0.0, 0.0, 0.0, 1.0 );
+            } else {
+              local = fract( local );
+            }
+            return textureGrad( transitionMap, transitionRegion.xy + local * transitionRegion.zw, dx, dy );`}
+          }`;
+        contentSample = `mix( sampleTransition(), ${contentSample}, transitionMix )`;
+      }
+      
+      let innerFrustumFunctions = '';
+      let innerFrustumComposite = '';
+      
+      if (innerFrustum) {
+        innerFrustumFunctions = `
+          uniform sampler2D innerFrustumMap;
+          uniform mat4 innerFrustumMatrix;
+          uniform float innerFrustumEdgeBlend;
+          uniform float innerFrustumActive;
+          
+          // Weight of the inner frustum at this point of the wall, feathered towards the frustum edges
+          float innerFrustumWeight( out vec3 color ) {
+            vec4 clip = innerFrustumMatrix * vec4( vLedWorldPosition, 1.0 );
+            color = vec3( 0.0 );
+            if ( innerFrustumActive < 0.5 || clip.w <= 0.0 ) return 0.0;
+            
+            vec2 ndc = clip.xy / clip.w;
+            color = texture2D( innerFrustumMap, ndc * 0.5 + 0.5 ).rgb;
+            
+            vec2 edge = 1.0 - abs( ndc );
+            vec2 weight = smoothstep( vec2( 0.0 ), vec2( max( innerFrustumEdgeBlend, 0.0001 ) ), edge );
+            return weight.x * weight.y;
+          }`;
+        innerFrustumComposite = `
+          vec3 innerFrustumColor;
+          float innerWeight = innerFrustumWeight( innerFrustumColor );
+          diffuseColor.rgb = mix( diffuseColor.rgb, diffuse * innerFrustumColor, innerWeight );
+          totalEmissiveRadiance = mix( totalEmissiveRadiance, emissive * innerFrustumColor, innerWeight );`;
+      }
+      
+      if (needsWorldPosition) {
+        shader.vertexShader = shader.vertexShader
+          .replace('#include <common>', `#include <common>
+            varying vec3 vLedWorldPosition;`)
+          .replace('#include <project_vertex>', `#include <project_vertex>
+            vLedWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;`);
+      }
+      
+      if (crossfade) {
+        shader.vertexShader = shader.vertexShader
+          .replace('#include <common>', `#include <common>
+            varying vec2 vLedCanvasUv;`)
+          .replace('#include <uv_vertex>', `#include <uv_vertex>
+            vLedCanvasUv = uv;`);
+      }
+      
+      shader.fragmentShader = removeReflectedLight(shader.fragmentShader)
+        .replace('#include <common>', `#include <common>
+          ${needsWorldPosition ? 'varying vec3 vLedWorldPosition;' : ''}
+          #ifdef USE_MAP
+          ${contentFunctions}
+          #endif
+          ${innerFrustumFunctions}`)
+        .replace('#include <map_fragment>', `
+          #ifdef USE_MAP
+            vec4 sampledDiffuseColor = ${contentSample};
+            #ifdef DECODE_VIDEO_TEXTURE
+              sampledDiffuseColor = vec4( mix( pow( sampledDiffuseColor.rgb * 0.9478672986 + vec3( 0.0521327014 ), vec3( 2.4 ) ), sampledDiffuseColor.rgb * 0.0773993808, vec3( lessThanEqual( sampledDiffuseColor.rgb, vec3( 0.04045 ) ) ) ), sampledDiffuseColor.w );
+            #endif
+            ${isHDR ? 'sampledDiffuseColor.rgb = ledToneMapHDR( sampledDiffuseColor.rgb );' : ''}
+            diffuseColor *= sampledDiffuseColor;
+          #endif`)
+        .replace('#include <emissivemap_fragment>', `
+          #if defined( USE_MAP ) && defined( USE_EMISSIVEMAP )
+            totalEmissiveRadiance *= ${decodeSignal && !isHDR ? 'ledDecodeSignal( sampledDiffuseColor.rgb )' : 'sampledDiffuseColor.rgb'};
+          #elif defined( USE_EMISSIVEMAP )
+            totalEmissiveRadiance *= texture2D( emissiveMap, vEmissiveMapUv ).rgb;
+          #endif
+          ${innerFrustumComposite}`);
+    };
+    this.material.customProgramCacheKey = () => `led-content-${tileCount}-${this.mapping.mode}-${innerFrustum ? 'icvfx' : 'flat'}-${isHDR ? 'hdr' : decodeSignal ? 'signal' : 'studio'}${crossfade ? '-crossfade' : ''}${parallax ? `-parallax${layerCount}` : ''}`;
+  }
+  
+  // Composite the inner frustum render of a virtual environment onto this surface (null to disable)
+  setInnerFrustum(innerFrustum) {
+    if (this.innerFrustum === innerFrustum) return;
+    
+    this.innerFrustum = innerFrustum;
+    this.updateShader();
+    this.material.needsUpdate = true;
+  }
+  
+  updateEquirectUniforms() {
+    const { yaw, pitch, roll, horizon, nodalPoint } = this.mapping;
+    const rotation = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(
+      THREE.MathUtils.degToRad(pitch),
+      THREE.MathUtils.degToRad(yaw),
+      THREE.MathUtils.degToRad(roll),
+      'YXZ'
+    ));
+    
+    // Rotating the panorama means sampling it with the inverse rotation
+    this.equirectUniforms.equirectRotation.value.setFromMatrix4(rotation).transpose();
+    this.equirectUniforms.equirectNodalPoint.value.set(nodalPoint.x, nodalPoint.y, nodalPoint.z);
+    this.equirectUniforms.equirectHorizon.value = THREE.MathUtils.degToRad(horizon);
+  }
+  
+  setMapping(mapping) {
+    const previousMode = this.mapping.mode;
+    this.mapping = {
+      ...this.mapping,
+      ...mapping,
+      nodalPoint: { ...this.mapping.nodalPoint, ...(mapping.nodalPoint || {}) }
+    };
+    
+    if (this.mapping.mode !== previousMode) {
+      this.updateShader();
+      this.material.needsUpdate = true;
+    } else {
+      this.updateEquirectUniforms();
+    }
+  }
+  
+  setBrightness(brightness) {
+    this.brightness = THREE.MathUtils.clamp(brightness, 0, 1);
+    this.updateMaterial();
+  }
+  
+  setDisplay(display) {
+    this.display = { ...this.display, ...display };
+    this.updateMaterial();
+  }
+  
+  setHDR(hdr) {
+    this.hdr = { ...this.hdr, ...hdr };
+    this.updateDisplayUniforms();
+  }
+  
+  // Brightness that keeps the studio model's emissive strength as the wall luminance
+  getDefaultBrightness() {
+    return Math.min(1, this.originalEmissiveIntensity * LED_REFERENCE_NITS / this.display.peakNits);
+  }
+  
+  // Full-white luminance the surface is currently set to
+  getOutputNits() {
+    return this.enabled ? this.display.peakNits * this.brightness : 0;
+  }
+  
+  updateDisplayUniforms() {
+    this.displayUniforms.ledEotf.value = LED_EOTFS[this.display.eotf] ?? LED_EOTFS.srgb;
+    this.displayUniforms.ledContentToDisplay.value.set(...(CONTENT_COLOR_SPACES[this.display.colorSpace] || CONTENT_COLOR_SPACES.rec709));
+    this.displayUniforms.ledDisplayNits.value = Math.max(this.getOutputNits(), 1);
+    this.displayUniforms.ledHdrExposure.value = Math.pow(2, this.hdr.exposure);
+    this.displayUniforms.ledHdrCurve.value = HDR_TONE_CURVES[this.hdr.toneCurve] ?? HDR_TONE_CURVES.reinhard;
+    this.displayUniforms.ledHdrWhite.value = Math.pow(2, this.hdr.highlightStops);
+  }
+  
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.updateMaterial();
+  }
+  
+  setTransform(transform) {
+    this.transform = { ...this.transform, ...transform };
+    this.applyTransform();
+  }
+  
+  setCrop(crop) {
+    this.crop = crop ? { ...crop } : null;
+    this.applyTransform();
+  }
+  
+  // Aspect (width / height) of the content source in pixels
+  getContentAspect() {
+    if (!this.sourceTexture) return null;
+    
+    const { width, height } = getContentResolution(this.sourceTexture);
+    return width > 0 && height > 0 ? width / height : null;
+  }
+  
+  // Keep the crop matching the studio canvas aspect (e.g. after a studio change)
+  fitCropToCanvas(canvasAspect) {
+    const contentAspect = this.getContentAspect();
+    if (!this.crop || !contentAspect) return;
+    
+    this.crop = fitCropToAspect(this.crop, contentAspect, canvasAspect);
+    this.applyTransform();
+  }
+  
+  applyTransform() {
+    if (!this.currentTexture) return;
+    
+    // The crop picks the region of the original content; the texture matrix places that region on the canvas
+    const crop = this.crop || { x: 0, y: 0, width: 1, height: 1 };
+    this.contentUniforms.contentRegion.value.set(crop.x, crop.y, crop.width, crop.height);
+    this.contentUniforms.contentClamp.value = this.transform.wrap === 'clamp' && this.transform.fit !== 'tile' ? 1 : 0;
+    
+    this.currentTexture.matrixAutoUpdate = false;
+    this.currentTexture.matrix.copy(this.getCanvasToRegionMatrix());
+  }
+  
+  // Matrix from canvas UVs to UVs within the crop region: rotation about the pivot, offset/scale, fit mode, then flips
+  getCanvasToRegionMatrix() {
+    const { offsetX, offsetY, scaleX, scaleY, rotation, pivotX, pivotY, flipX, flipY, fit } = this.transform;
+    const matrix = new THREE.Matrix3();
+    const step = new THREE.Matrix3();
+    
+    if (rotation) {
+      // Rotate in pixel proportions so content isn't sheared on a wide canvas
+      const aspect = this.canvas.aspect;
+      matrix
+        .premultiply(step.makeTranslation(-pivotX, -pivotY))
+        .premultiply(step.makeScale(aspect, 1))
+        .premultiply(step.makeRotation(-THREE.MathUtils.degToRad(rotation)))
+        .premultiply(step.makeScale(1 / aspect, 1))
+        .premultiply(step.makeTranslation(pivotX, pivotY));
+    }
+    
+    matrix
+      .premultiply(step.makeScale(scaleX, scaleY))
+      .premultiply(step.makeTranslation(offsetX, offsetY));
+    
+    // Tiles start at the top-left corner, every other fit mode is centred on the canvas
+    const size = this.getFitSize();
+    const anchor = fit === 'tile' ? 0 : 0.5;
+    matrix
+      .premultiply(step.makeTranslation(-anchor, -anchor))
+      .premultiply(step.makeScale(1 / size.x, 1 / size.y))
+      .premultiply(step.makeTranslation(anchor, anchor));
+    
+    if (flipX) matrix.premultiply(step.set(-1, 0, 1, 0, 1, 0, 0, 0, 1));
+    if (flipY) matrix.premultiply(step.set(1, 0, 0, 0, -1, 1, 0, 0, 1));
+    
+    return matrix;
+  }
+  
+  // Size of the crop region on the canvas (canvas UVs) for the fit mode
+  getFitSize() {
+    const size = new THREE.Vector2(1, 1);
+    const { width, height } = this.sourceTexture ? getContentResolution(this.sourceTexture) : {};
+    if (!width || !height || this.transform.fit === 'stretch') return size;
+    
+    const crop = this.crop || { x: 0, y: 0, width: 1, height: 1 };
+    const regionWidth = width * crop.width;
+    const regionHeight = height * crop.height;
+    const regionAspect = regionWidth / regionHeight;
+    const canvasAspect = this.canvas.aspect;
+    
+    switch (this.transform.fit) {
+      case 'fit':
+        return regionAspect > canvasAspect ? size.set(1, canvasAspect / regionAspect) : size.set(regionAspect / canvasAspect, 1);
+      case 'fill':
+        return regionAspect > canvasAspect ? size.set(regionAspect / canvasAspect, 1) : size.set(1, canvasAspect / regionAspect);
+      case 'center':
+      case 'tile':
+        // One content pixel per canvas pixel
+        if (this.canvas.width && this.canvas.height) {
+          return size.set(regionWidth / this.canvas.width, regionHeight / this.canvas.height);
+        }
+        return size.set(regionAspect / canvasAspect, 1);
+      default:
+        return size;
+    }
+  }
+  
+  // Content UV shown at a canvas UV, or null where clamping leaves the canvas black
+  canvasToContentUv(uv) {
+    const local = uv.clone().applyMatrix3(this.currentTexture.matrix);
+    
+    if (this.contentUniforms.contentClamp.value) {
+      if (local.x < 0 || local.x > 1 || local.y < 0 || local.y > 1) return null;
+    } else {
+      local.set(local.x - Math.floor(local.x), local.y - Math.floor(local.y));
+    }
+    
+    const region = this.contentUniforms.contentRegion.value;
+    return local.set(region.x + local.x * region.z, region.y + local.y * region.w);
+  }
+  
+  setCanvas(canvas) {
+    this.canvas = { ...this.canvas, ...canvas };
+    this.applyTransform();
+  }
+  
+  updateMaterial() {
+    if (this.enabled) {
+      this.material.map = this.currentTexture || this.originalBaseColorTexture;
+      this.material.emissiveMap = this.currentTexture || this.originalEmissiveTexture;
+      this.material.emissive.copy(colorTemperatureToRGB(this.display.whitePoint));
+      this.material.emissiveIntensity = this.getOutputNits() / LED_REFERENCE_NITS * this.fade;
+    } else {
+      // A switched-off LED surface is a black, non-emissive panel
+      this.material.map = null;
+      this.material.emissiveMap = null;
+      this.material.emissiveIntensity = 0;
+    }
+    
+    this.updateDisplayUniforms();
+    this.material.needsUpdate = true;
+  }
+  
+  reset() {
+    this.display = createDefaultDisplaySettings();
+    this.hdr = createDefaultHDRSettings();
+    this.brightness = this.getDefaultBrightness();
+    this.enabled = true;
+    this.transform = createDefaultTextureTransform();
+    this.crop = null;
+    this.mapping = createDefaultMapping();
+    this.setContent(null);
+  }
+  
+  getState() {
+    return {
+      texture: this.sourceTexture,
+      videoContent: this.videoContent,
+      brightness: this.brightness,
+      display: { ...this.display },
+      hdr: { ...this.hdr },
+      enabled: this.enabled,
+      transform: { ...this.transform },
+      crop: this.crop ? { ...this.crop } : null,
+      mapping: { ...this.mapping, nodalPoint: { ...this.mapping.nodalPoint } }
+    };
+  }
+  
+  applyState(state) {
+    this.display = { ...createDefaultDisplaySettings(), ...state.display };
+    this.hdr = { ...createDefaultHDRSettings(), ...state.hdr };
+    this.brightness = state.brightness;
+    this.enabled = state.enabled;
+    this.transform = { ...createDefaultTextureTransform(), ...state.transform };
+    this.crop = state.crop ? { ...state.crop } : null;
+    this.mapping = { ...state.mapping, nodalPoint: { ...state.mapping.nodalPoint } };
+    this.setContent(state.texture, state.videoContent);
+  }
+  
+  // Re-upload the surface copy when shared content was redrawn (procedural shaders, parallax nodal view)
+  syncContent() {
+    if (this.currentTexture && !this.sourceTexture.isVideoTexture && this.sourceTexture.version !== this.contentVersion) {
+      this.contentVersion = this.sourceTexture.version;
+      this.currentTexture.needsUpdate = true;
+    }
+  }
+  
+  // Keep sampling the content shown now underneath the next content set, to crossfade between them
+  beginCrossfade() {
+    this.disposeTransitionTexture();
+    if (!this.currentTexture) return;
+    
+    this.transitionTexture = this.currentTexture;
+    this.transitionSource = { texture: this.sourceTexture, videoContent: this.videoContent };
+    this.transitionFromIntensity = this.material.emissiveIntensity;
+    this.currentTexture = null; // Handed over, so setContent doesn't dispose it
+    
+    const uniforms = this.transitionUniforms;
+    uniforms.transitionMap.value = this.transitionTexture;
+    uniforms.transitionMatrix.value.copy(this.transitionTexture.matrix);
+    uniforms.transitionRegion.value.copy(this.contentUniforms.contentRegion.value);
+    uniforms.transitionClamp.value = this.contentUniforms.contentClamp.value;
+    uniforms.transitionMix.value = 0;
+  }
+  
+  // 0 shows the outgoing content, 1 the new content; brightness follows the mix
+  setTransitionProgress(mix) {
+    this.transitionUniforms.transitionMix.value = mix;
+    if (this.enabled) {
+      const intensity = this.getOutputNits() / LED_REFERENCE_NITS * this.fade;
+      this.material.emissiveIntensity = THREE.MathUtils.lerp(this.transitionFromIntensity, intensity, mix);
+    }
+  }
+  
+  endTransition() {
+    if (!this.transitionTexture) return;
+    
+    this.disposeTransitionTexture();
+    this.updateShader();
+    this.updateMaterial();
+  }
+  
+  // Scale the whole surface output without touching its settings, e.g. to dip to black between cues
+  setFade(fade) {
+    this.fade = fade;
+    if (!this.enabled) return;
+    
+    this.material.emissiveIntensity = this.getOutputNits() / LED_REFERENCE_NITS * fade;
+  }
+  
+  disposeTransitionTexture() {
+    if (this.transitionTexture) {
+      this.transitionTexture.dispose();
+      this.transitionTexture = null;
+      this.transitionSource = null;
+      this.transitionUniforms.transitionMap.value = null;
+      this.transitionUniforms.transitionMix.value = 1;
+    }
+  }
+  
+  disposeCurrentTexture() {
+    if (this.currentTexture) {
+      this.currentTexture.dispose();
+      this.currentTexture = null;
+    }
+  }
+  
+  // UV region the surface occupies on the studio's screen texture
+  getUVBounds() {
+    const bounds = new THREE.Box2();
+    const uv = new THREE.Vector2();
+    
+    this.meshes.forEach((mesh) => {
+      const attribute = mesh.geometry.attributes.uv;
+      if (!attribute) return;
+      for (let i = 0; i < attribute.count; i++) {
+        bounds.expandByPoint(uv.fromBufferAttribute(attribute, i));
+      }
+    });
+    
+    return bounds.isEmpty() ? new THREE.Box2(new THREE.Vector2(0, 0), new THREE.Vector2(1, 1)) : bounds;
+  }
+  
+  // Outline the cabinets of the surface layout over the wall (null to hide)
+  setCabinetSeams(surfaceLayout) {
+    this.clearCabinetSeams();
+    if (!surfaceLayout) return;
+    
+    // Stretch the cabinet grid over the surface's UV region
+    const texture = createCabinetSeamTexture(surfaceLayout.columns, surfaceLayout.rows);
+    const bounds = this.getUVBounds();
+    const size = bounds.getSize(new THREE.Vector2());
+    texture.repeat.set(1 / Math.max(size.x, 1e-6), 1 / Math.max(size.y, 1e-6));
+    texture.offset.set(-bounds.min.x * texture.repeat.x, -bounds.min.y * texture.repeat.y);
+    
+    this.seamMaterial = new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+      toneMapped: false
+    });
+    
+    this.seamMeshes = this.meshes.map((mesh) => {
+      // Only overlay the screen part of multi-material meshes
+      const material = Array.isArray(mesh.material)
+        ? mesh.material.map(mat => mat === this.material ? this.seamMaterial : null)
+        : this.seamMaterial;
+      
+      const overlay = new THREE.Mesh(mesh.geometry, material);
+      overlay.name = `${mesh.name}_cabinet_seams`;
+      overlay.renderOrder = 1;
+      mesh.add(overlay);
+      return overlay;
+    });
+  }
+  
+  clearCabinetSeams() {
+    this.seamMeshes.forEach(overlay => overlay.removeFromParent());
+    this.seamMeshes = [];
+    
+    if (this.seamMaterial) {
+      this.seamMaterial.map.dispose();
+      this.seamMaterial.dispose();
+      this.seamMaterial = null;
+    }
+  }
+  
+  dispose() {
+    this.clearCabinetSeams();
+    this.disposeTransitionTexture();
+    this.disposeCurrentTexture();
+    this.material.dispose();
+  }
+}
+
+// LEDScreen Class - Manages the LED surfaces of a studio with their textures and properties
+class LEDScreen {
+  constructor(mesh, materialNames = DEFAULT_SCREEN_MATERIALS, app = null, aspectRatio = DEFAULT_CANVAS_ASPECT) {
+    this.mesh = mesh;
+    this.materialNames = materialNames;
+    this.surfaces = new Map(); // key -> LEDSurface
+    this.aspectRatio = aspectRatio; // Studio canvas aspect (width / height)
+    this.app = app; // Reference to main app for global state
+    
+    this.findTargetMaterial();
+    this.updateSurfaceCanvas();
+    this.applyGlobalState();
+    
+    if (this.app && this.app.innerFrustum.enabled) {
+      this.setInnerFrustum(this.app.innerFrustum);
+    }
+  }
+  
+  findTargetMaterial() {
+    if (!this.mesh) return;
+    
+    const surfaceMeshes = new Map(); // key -> { node, meshes, material }
+    
+    this.mesh.traverse((child) => {
+      if (child.isMesh && child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        
+        materials.forEach((mat) => {
+          if (this.materialNames.includes(mat.name)) {
+            let node = this.getSurfaceNode(child);
+            let key = getSurfaceKey(node.userData.name || node.name || 'LED Screen');
+            
+            // Screens with different materials under one node (common in imported models) are separate surfaces
+            if (surfaceMeshes.has(key) && surfaceMeshes.get(key).material !== mat) {
+              node = child;
+              key = getSurfaceKey(child.name || mat.name);
+            }
+            
+            if (!surfaceMeshes.has(key)) {
+              surfaceMeshes.set(key, { node, meshes: [], material: mat });
+            }
+            surfaceMeshes.get(key).meshes.push(child);
+            
+            console.log('Found LED screen material:', mat.name, 'on surface:', key);
+          }
+        });
+      }
+    });
+    
+    surfaceMeshes.forEach(({ node, meshes, material }, key) => {
+      this.surfaces.set(key, new LEDSurface(key, node, meshes, material));
+    });
+    
+    if (this.surfaces.size === 0) {
+      console.warn('LED screen material not found:', this.materialNames.join(', '));
+      this.logAvailableMaterials();
+    }
+  }
+  
+  // Top-level studio node (e.g. "LED Curve") that a screen mesh belongs to
+  getSurfaceNode(child) {
+    let node = child;
+    while (node.parent && node.parent !== this.mesh) {
+      node = node.parent;
+    }
+    return node;
+  }
+  
+  logAvailableMaterials() {
+    console.log('Available materials:');
+    this.mesh.traverse((child) => {
+      if (child.isMesh && child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((mat, index) => {
+          console.log(`- ${mat.name || 'Unnamed'} (${child.name || 'Unnamed mesh'}_${index})`);
+        });
+      }
+    });
+  }
+  
+  getSurfaces() {
+    return Array.from(this.surfaces.values());
+  }
+  
+  getSurface(key) {
+    return this.surfaces.get(key);
+  }
+  
+  // Surfaces affected by screen controls: the selected surface, or every surface for 'all'
+  getTargetSurfaces() {
+    const selectedKey = this.app ? this.app.selectedSurfaceKey : 'all';
+    const surface = this.surfaces.get(selectedKey);
+    return surface ? [surface] : this.getSurfaces();
+  }
+  
+  // Surface whose values are shown in the screen controls
+  getPrimarySurface() {
+    return this.getTargetSurfaces()[0] || null;
+  }
+  
+  applyGlobalState() {
+    if (!this.app) return;
+    
+    const patterns = new Map(); // stored pattern texture -> pattern redrawn for this studio
+    
+    this.surfaces.forEach((surface) => {
+      let state = this.app.getSurfaceState(surface.key);
+      
+      // Test patterns are redrawn to match this studio's canvas and cabinets
+      if (state && state.texture && state.texture.userData.testPattern) {
+        state = { ...state, texture: this.getStudioTestPattern(state.texture, surface, patterns), crop: null };
+      }
+      
+      if (state) {
+        surface.applyState(state);
+        surface.fitCropToCanvas(this.aspectRatio);
+        console.log('Applied stored screen state to surface:', surface.key);
+      }
+    });
+  }
+  
+  // Store the state of the given surfaces for persistence across studio changes
+  storeGlobalState(surfaces, isAllSurfaces = null) {
+    if (!this.app) return;
+    
+    if (isAllSurfaces === null) {
+      isAllSurfaces = !this.surfaces.has(this.app.selectedSurfaceKey);
+    }
+    surfaces.forEach((surface) => {
+      this.app.setSurfaceState(surface.key, surface.getState());
+    });
+    this.app.onSurfaceStateChanged();
+    
+    // Surfaces of other studios without a matching key fall back to the 'all' state
+    if (isAllSurfaces && surfaces.length > 0) {
+      this.app.setSurfaceState('*', surfaces[0].getState());
+    }
+    
+    this.app.releaseUnusedContent();
+  }
+
+  async setCustomTexture(file, callback) {
+    const surfaces = this.getTargetSurfaces();
+    if (surfaces.length === 0) {
+      console.warn('No LED surface found to apply texture');
+      return;
+    }
+    
+    // The original image is kept at source resolution; cropping is done with UVs
+    const imageUrl = URL.createObjectURL(file);
+    const extension = file.name.split('.').pop().toLowerCase();
+    const isHDRFile = extension === 'exr' || extension === 'hdr';
+    const textureLoader = isHDRFile
+      ? (extension === 'exr' ? new EXRLoader() : new RGBELoader()).setDataType(THREE.HalfFloatType)
+      : new THREE.TextureLoader();
+    
+    let texture;
+    try {
+      texture = await textureLoader.loadAsync(imageUrl);
+      
+      if (isHDRFile) {
+        // The loaders orient data for flipY; LED content is sampled with v=0 at the top
+        texture.flipY = !texture.flipY;
+        texture.hdrPreview = createHDRPreview(texture);
+      } else {
+        // Split images the GPU can't hold in one texture instead of letting them be downscaled
+        const maxTextureSize = this.getMaxTextureSize();
+        if (TiledImageContent.needsTiling(texture.image, maxTextureSize)) {
+          const tiledContent = await TiledImageContent.fromImage(texture.image, maxTextureSize);
+          texture = tiledContent.createPreviewTexture(texture.image);
+        }
+      }
+    } catch (error) {
+      this.reportError(`Could not load image ${file.name}`, error);
+      return;
+    } finally {
+      // The image is decoded by now, so the file's URL is no longer needed
+      URL.revokeObjectURL(imageUrl);
+    }
+    
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    if (!isHDRFile) texture.flipY = false;
+    
+    // Mark as custom texture for persistence across studio changes
+    texture.userData = texture.userData || {};
+    texture.userData.isCustomTexture = true;
+    texture.userData.sourceName = file.name;
+    
+    if (this.app) {
+      this.app.registerImageContent(texture);
+    }
+    
+    this.applyContentToSurfaces(surfaces, texture);
+    
+    console.log('Custom texture applied to LED surfaces and stored globally:', surfaces.map(s => s.key));
+    if (callback) callback(texture);
+  }
+  
+  // Test pattern content at this studio's canvas resolution
+  setTestPattern(pattern, color) {
+    const surfaces = this.getTargetSurfaces();
+    if (surfaces.length === 0) {
+      console.warn('No LED surface found to apply test pattern');
+      return;
+    }
+    
+    if (pattern === 'grid') {
+      // Cabinet numbers differ per surface, so each surface gets its own grid
+      surfaces.forEach(surface => this.applyContentToSurfaces([surface], this.createTestPattern(pattern, color, surface)));
+    } else {
+      this.applyContentToSurfaces(surfaces, this.createTestPattern(pattern, color));
+    }
+    
+    console.log('Test pattern applied to LED surfaces:', pattern, surfaces.map(s => s.key));
+  }
+  
+  createTestPattern(pattern, color, surface = null) {
+    const { width, height } = this.getCanvasResolution();
+    const options = { width, height, color };
+    
+    if (pattern === 'grid' && surface) {
+      const studio = this.app ? this.app.studioManager.getCurrentStudio() : null;
+      const surfaceLayout = studio && studio.layout ? studio.layout.getSurfaceLayout(surface.key) : null;
+      if (surfaceLayout) {
+        options.grid = {
+          columns: surfaceLayout.columns,
+          rows: surfaceLayout.rows,
+          bounds: surface.getUVBounds(),
+          label: surface.key
+        };
+      }
+    }
+    
+    const texture = TestPatternGenerator.createTexture(pattern, options);
+    if (this.app) {
+      this.app.registerImageContent(texture);
+    }
+    return texture;
+  }
+  
+  // Redraw a stored test pattern for this studio, sharing it between surfaces where possible
+  getStudioTestPattern(texture, surface, patterns) {
+    const { pattern, color } = texture.userData.testPattern;
+    if (pattern === 'grid') {
+      return this.createTestPattern(pattern, color, surface);
+    }
+    
+    if (!patterns.has(texture)) {
+      patterns.set(texture, this.createTestPattern(pattern, color));
+    }
+    return patterns.get(texture);
+  }
+  
+  // Processor canvas size of the studio in pixels
+  getCanvasSize() {
+    const studio = this.app ? this.app.studioManager.getCurrentStudio() : null;
+    
+    if (studio && studio.processorResolution) {
+      return { ...studio.processorResolution };
+    }
+    return { width: Math.round(2160 * this.aspectRatio), height: 2160 };
+  }
+  
+  // Processor canvas resolution of the studio, limited to what the GPU can hold
+  getCanvasResolution() {
+    const { width, height } = this.getCanvasSize();
+    const scale = Math.min(1, this.getMaxTextureSize() / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+  }
+  
+  getMaxTextureSize() {
+    return this.app && this.app.renderer ? this.app.renderer.capabilities.maxTextureSize : 4096;
+  }
+  
+  updateSurfaceCanvas() {
+    const { width, height } = this.getCanvasSize();
+    this.surfaces.forEach(surface => surface.setCanvas({ aspect: this.aspectRatio, width, height }));
+  }
+  
+  // Show new content on surfaces with a default centre crop for this studio's canvas
+  applyContentToSurfaces(surfaces, texture, videoContent = null) {
+    const { width, height } = getContentResolution(texture);
+    const isPlaced = width > 0 && height > 0 && !texture.parallaxContent; // Parallax layers are placed by the camera
+    const crop = isPlaced ? computeCenterCrop(width / height, this.aspectRatio) : null;
+    
+    surfaces.forEach((surface) => {
+      surface.transform = createDefaultTextureTransform();
+      surface.hdr = createDefaultHDRSettings();
+      surface.crop = crop;
+      surface.setContent(texture, videoContent);
+    });
+    
+    // Store in global state for persistence across studio changes
+    this.storeGlobalState(surfaces);
+  }
+  
+  // Show a parallax layer composition on the target surfaces
+  setParallaxContent(parallaxContent) {
+    const surfaces = this.getTargetSurfaces();
+    this.applyContentToSurfaces(surfaces, parallaxContent.texture);
+    console.log('Parallax layers applied to LED surfaces:', surfaces.map(s => s.key));
+  }
+  
+  // Show procedural shader content on the target surfaces
+  setShaderContent(shaderContent) {
+    const surfaces = this.getTargetSurfaces();
+    this.applyContentToSurfaces(surfaces, shaderContent.texture);
+    console.log('Shader content applied to LED surfaces:', surfaces.map(s => s.key));
+  }
+  
+  async setImageSequence(files, callback) {
+    const surfaces = this.getTargetSurfaces();
+    if (surfaces.length === 0) {
+      console.warn('No LED surface found to apply image sequence');
+      return;
+    }
+    
+    let sequenceContent;
+    try {
+      const frames = await readSequenceFiles(files);
+      sequenceContent = new SequenceContent(frames, files.length === 1 ? files[0].name : null);
+      await sequenceContent.load();
+    } catch (error) {
+      this.reportError('Could not load image sequence', error);
+      if (sequenceContent) sequenceContent.dispose();
+      return;
+    }
+    
+    if (this.app) {
+      this.app.registerSequenceContent(sequenceContent);
+    }
+    
+    this.applyContentToSurfaces(surfaces, sequenceContent.texture);
+    
+    sequenceContent.play();
+    
+    console.log('Image sequence applied to LED surfaces:', sequenceContent.name, `${sequenceContent.getFrameCount()} frames`);
+    if (callback) callback(sequenceContent);
+  }
+  
+  // Content that fails to load is shown to the user, or only logged without an app
+  reportError(message, error) {
+    if (this.app) {
+      this.app.assetLoader.reportError(message, error);
+    } else {
+      console.error(message, error);
+    }
+  }
+  
+  // Pick up redraws of shared content on every surface
+  syncContent() {
+    this.surfaces.forEach(surface => surface.syncContent());
+  }
+  
+  // Rebuild the shaders of surfaces showing the given content after its structure changed
+  refreshContent(texture) {
+    this.surfaces.forEach((surface) => {
+      if (surface.sourceTexture === texture) {
+        surface.updateShader();
+        surface.updateMaterial();
+      }
+    });
+  }
+  
+  async setCustomVideo(file, callback) {
+    const surfaces = this.getTargetSurfaces();
+    if (surfaces.length === 0) {
+      console.warn('No LED surface found to apply video');
+      return;
+    }
+    
+    const videoContent = new VideoContent(file);
+    
+    try {
+      await videoContent.load();
+    } catch (error) {
+      this.reportError(`Could not load video ${file.name}`, error);
+      videoContent.dispose();
+      return;
+    }
+    
+    if (this.app) {
+      this.app.registerVideoContent(videoContent);
+    }
+    
+    this.applyContentToSurfaces(surfaces, videoContent.texture, videoContent);
+    
+    videoContent.play();
+    
+    console.log('Custom video applied to LED surfaces and stored globally:', file.name);
+    if (callback) callback(videoContent);
+  }
+  
+  setBrightness(brightness) {
+    const surfaces = this.getTargetSurfaces();
+    surfaces.forEach(surface => surface.setBrightness(brightness));
+    this.storeGlobalState(surfaces);
+  }
+  
+  setDisplay(display) {
+    const surfaces = this.getTargetSurfaces();
+    surfaces.forEach(surface => surface.setDisplay(display));
+    this.storeGlobalState(surfaces);
+  }
+  
+  setHDR(hdr) {
+    const surfaces = this.getTargetSurfaces();
+    surfaces.forEach(surface => surface.setHDR(hdr));
+    this.storeGlobalState(surfaces);
+  }
+  
+  setEnabled(enabled) {
+    const surfaces = this.getTargetSurfaces();
+    surfaces.forEach(surface => surface.setEnabled(enabled));
+    this.storeGlobalState(surfaces);
+  }
+  
+  setTextureTransform(transform) {
+    const surfaces = this.getTargetSurfaces();
+    surfaces.forEach(surface => surface.setTransform(transform));
+    this.storeGlobalState(surfaces);
+  }
+  
+  setMapping(mapping) {
+    const surfaces = this.getTargetSurfaces();
+    surfaces.forEach(surface => surface.setMapping(mapping));
+    this.storeGlobalState(surfaces);
+  }
+  
+  // Apply a crop to the target surfaces showing the given content
+  setCrop(crop, texture) {
+    const surfaces = this.getTargetSurfaces().filter(surface => surface.sourceTexture === texture);
+    surfaces.forEach(surface => surface.setCrop(crop));
+    this.storeGlobalState(surfaces);
+  }
+  
+  resetToOriginal() {
+    const surfaces = this.getTargetSurfaces();
+    const isAllSurfaces = !this.app || !this.surfaces.has(this.app.selectedSurfaceKey);
+    
+    surfaces.forEach(surface => surface.reset());
+    
+    // Clear stored state so each surface falls back to its studio defaults
+    if (this.app) {
+      if (isAllSurfaces) {
+        this.app.clearSurfaceStates();
+      } else {
+        surfaces.forEach(surface => this.app.clearSurfaceState(surface.key));
+      }
+      this.app.releaseUnusedContent();
+      this.app.onSurfaceStateChanged();
+    }
+    
+    console.log('LED surfaces reset to original:', surfaces.map(s => s.key));
+  }
+  
+  // Composite the inner frustum onto every surface (null to show only the outer frustum content)
+  setInnerFrustum(innerFrustum) {
+    this.surfaces.forEach(surface => surface.setInnerFrustum(innerFrustum));
+  }
+  
+  // Show the cabinet seams of the studio's LED layout (null layout to hide)
+  setCabinetSeams(layout) {
+    this.surfaces.forEach((surface) => {
+      surface.setCabinetSeams(layout ? layout.getSurfaceLayout(surface.key) : null);
+    });
+  }
+  
+  dispose() {
+    this.surfaces.forEach(surface => surface.dispose());
+    this.surfaces.clear();
+  }
+}
+
+// Transitions a cue can be fired with
+const CUE_TRANSITIONS = {
+  cut: 'Cut',
+  crossfade: 'Crossfade',
+  dip: 'Dip to Black'
+};
+
+// CueList Class - Recorded wall looks (content, brightness, transform) fired by hand or on a follow timer
+class CueList {
+  constructor(app) {
+    this.app = app;
+    this.cues = [];
+    this.selectedIndex = -1; // Cue on standby; GO fires it
+    this.activeIndex = -1; // Cue last fired
+    this.transition = null; // { cue, type, surfaces, start, duration, switched }
+    this.followAt = null; // Time (ms) the next cue fires by itself
+    this.cueCounter = 1;
+  }
+  
+  // Record what the selected surface(s) show as a new cue after the standby cue
+  recordCue(options = {}) {
+    const surface = this.app.ledScreen ? this.app.ledScreen.getPrimarySurface() : null;
+    if (!surface) {
+      console.warn('No LED surface to record a cue from');
+      return null;
+    }
+    
+    const cue = {
+      id: generateUniqueId(),
+      name: `Cue ${this.cueCounter++}`,
+      surfaceKey: this.app.selectedSurfaceKey,
+      transition: 'cut',
+      transitionTime: 1, // Seconds
+      followTime: 0, // Seconds after firing before the next cue fires, 0 = manual
+      ...this.captureLook(surface),
+      ...options
+    };
+    
+    const index = this.selectedIndex >= 0 ? this.selectedIndex + 1 : this.cues.length;
+    this.cues.splice(index, 0, cue);
+    this.selectedIndex = index;
+    
+    console.log('Cue recorded:', cue.name, 'on', cue.surfaceKey);
+    this.app.updateCueListUI();
+    return cue;
+  }
+  
+  captureLook(surface) {
+    return {
+      texture: surface.sourceTexture,
+      videoContent: surface.videoContent,
+      brightness: surface.brightness,
+      transform: { ...surface.transform },
+      crop: surface.crop ? { ...surface.crop } : null
+    };
+  }
+  
+  // Re-record a cue's look from the selected surface(s), keeping its timing
+  updateCue(index) {
+    const cue = this.cues[index];
+    const surface = this.app.ledScreen ? this.app.ledScreen.getPrimarySurface() : null;
+    if (!cue || !surface) return;
+    
+    Object.assign(cue, this.captureLook(surface), { surfaceKey: this.app.selectedSurfaceKey });
+    this.app.releaseUnusedContent();
+    this.app.updateCueListUI();
+  }
+  
+  setCueOptions(index, options) {
+    const cue = this.cues[index];
+    if (!cue) return;
+    
+    Object.assign(cue, options);
+    this.app.updateCueListUI();
+  }
+  
+  removeCue(index) {
+    const cue = this.cues[index];
+    if (!cue) return;
+    
+    if (this.transition && this.transition.cue === cue) {
+      this.finishTransition();
+    }
+    
+    this.cues.splice(index, 1);
+    if (this.activeIndex === index) {
+      this.activeIndex = -1;
+      this.followAt = null;
+    } else if (this.activeIndex > index) {
+      this.activeIndex--;
+    }
+    if (this.selectedIndex >= this.cues.length || this.selectedIndex > index) {
+      this.selectedIndex--;
+    }
+    
+    // Content only kept alive by this cue can go
+    this.app.releaseUnusedContent();
+    this.app.updateCueListUI();
+  }
+  
+  selectCue(index) {
+    this.selectedIndex = THREE.MathUtils.clamp(index, -1, this.cues.length - 1);
+    this.app.updateCueListUI();
+  }
+  
+  // Fire the standby cue
+  go() {
+    if (this.selectedIndex >= 0) {
+      this.fire(this.selectedIndex);
+    }
+  }
+  
+  // Cancel the follow timer and complete any running transition
+  stop() {
+    this.followAt = null;
+    this.finishTransition();
+    this.app.updateCueListUI();
+  }
+  
+  fire(index) {
+    const cue = this.cues[index];
+    if (!cue || !this.app.ledScreen) return;
+    
+    this.finishTransition();
+    
+    const surfaces = this.getCueSurfaces(cue);
+    if (surfaces.length === 0) {
+      console.warn(`Cue ${cue.name} targets ${cue.surfaceKey}, which this studio doesn't have`);
+      return;
+    }
+    
+    const duration = cue.transitionTime * 1000;
+    let type = duration > 0 ? cue.transition : 'cut';
+    
+    // Crossfades mix content signals, so both looks need content the display model decodes
+    if (type === 'crossfade' && (!cue.texture || surfaces.some(surface => !surface.sourceTexture))) {
+      type = 'dip';
+    }
+    
+    if (type === 'crossfade') {
+      surfaces.forEach(surface => surface.beginCrossfade());
+    }
+    if (type !== 'dip') {
+      this.applyLook(cue, surfaces);
+    }
+    if (type !== 'cut') {
+      this.transition = { cue, type, surfaces, start: performance.now(), duration, switched: type === 'crossfade' };
+    }
+    
+    this.activeIndex = index;
+    this.selectedIndex = Math.min(index + 1, this.cues.length - 1);
+    this.followAt = cue.followTime > 0 && index + 1 < this.cues.length ? performance.now() + cue.followTime * 1000 : null;
+    
+    console.log('Cue fired:', cue.name, `(${CUE_TRANSITIONS[type]})`);
+    this.app.updateCueListUI();
+  }
+  
+  getCueSurfaces(cue) {
+    const ledScreen = this.app.ledScreen;
+    if (cue.surfaceKey === 'all') return ledScreen.getSurfaces();
+    
+    const surface = ledScreen.getSurface(cue.surfaceKey);
+    return surface ? [surface] : [];
+  }
+  
+  applyLook(cue, surfaces) {
+    const ledScreen = this.app.ledScreen;
+    const patterns = new Map();
+    
+    surfaces.forEach((surface) => {
+      // Test patterns are redrawn to match this studio's canvas and cabinets
+      const isTestPattern = Boolean(cue.texture && cue.texture.userData.testPattern);
+      const texture = isTestPattern ? ledScreen.getStudioTestPattern(cue.texture, surface, patterns) : cue.texture;
+      
+      surface.brightness = cue.brightness;
+      surface.transform = { ...createDefaultTextureTransform(), ...cue.transform };
+      surface.crop = cue.crop && !isTestPattern ? { ...cue.crop } : null;
+      surface.setContent(texture, cue.videoContent);
+      surface.fitCropToCanvas(ledScreen.aspectRatio);
+    });
+    
+    ledScreen.storeGlobalState(surfaces, cue.surfaceKey === 'all');
+    
+    if (cue.videoContent) {
+      cue.videoContent.seek(cue.videoContent.inPoint);
+      cue.videoContent.play();
+    }
+    if (cue.texture && cue.texture.sequenceContent) {
+      cue.texture.sequenceContent.seek(0);
+      cue.texture.sequenceContent.play();
+    }
+    this.app.updateScreenControlsUI();
+  }
+  
+  isTransitioning() {
+    return this.transition !== null;
+  }
+  
+  // Called every frame to run transitions and follow timers
+  update(now) {
+    const transition = this.transition;
+    
+    if (transition) {
+      const progress = Math.min((now - transition.start) / transition.duration, 1);
+      
+      if (transition.type === 'crossfade') {
+        transition.surfaces.forEach(surface => surface.setTransitionProgress(progress));
+      } else {
+        // Fade the old look out, switch while the wall is black, fade the new look in
+        if (!transition.switched && progress >= 0.5) {
+          transition.switched = true;
+          this.applyLook(transition.cue, transition.surfaces);
+        }
+        const fade = Math.abs(1 - 2 * progress);
+        transition.surfaces.forEach(surface => surface.setFade(fade));
+      }
+      
+      if (progress >= 1) {
+        this.finishTransition();
+      }
+    }
+    
+    if (this.followAt !== null && now >= this.followAt && !this.transition) {
+      this.followAt = null;
+      this.fire(this.activeIndex + 1);
+    }
+  }
+  
+  // Jump a running transition to its end state
+  finishTransition() {
+    const transition = this.transition;
+    if (!transition) return;
+    
+    this.transition = null;
+    if (!transition.switched) {
+      this.applyLook(transition.cue, transition.surfaces);
+    }
+    transition.surfaces.forEach((surface) => {
+      surface.endTransition();
+      surface.setFade(1);
+    });
+    
+    // The outgoing content of a crossfade may no longer be used
+    this.app.releaseUnusedContent();
+  }
+}
+
+// CropEditor Class - Modal editor for picking the region of the content shown on the LED canvas
+class CropEditor {
+  constructor() {
+    this.overlay = document.getElementById('crop-editor');
+    this.canvas = document.getElementById('crop-canvas');
+    this.ctx = this.canvas.getContext('2d');
+    
+    this.source = null;
+    this.crop = null;
+    this.aspectRatio = DEFAULT_CANVAS_ASPECT;
+    this.onApply = null;
+    this.isOpen = false;
+    
+    // Pointer interaction
+    this.dragMode = null; // 'move' or 'resize'
+    this.dragStart = null;
+    this.handleSize = 10;
+    
+    this.setupEventListeners();
+  }
+  
+  setupEventListeners() {
+    this.canvas.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+    this.canvas.addEventListener('pointermove', (event) => this.onPointerMove(event));
+    this.canvas.addEventListener('pointerup', (event) => this.onPointerUp(event));
+    this.canvas.addEventListener('wheel', (event) => this.onWheel(event), { passive: false });
+    
+    document.getElementById('crop-apply-btn').addEventListener('click', () => this.apply());
+    document.getElementById('crop-cancel-btn').addEventListener('click', () => this.close());
+    document.getElementById('crop-reset-btn').addEventListener('click', () => this.resetCrop());
+  }
+  
+  open(source, crop, aspectRatio, onApply) {
+    const { width, height } = getSourceSize(source);
+    if (!width || !height) {
+      console.warn('Crop editor: content has no size yet');
+      return;
+    }
+    
+    this.source = source;
+    this.aspectRatio = aspectRatio;
+    this.onApply = onApply;
+    this.sourceAspect = width / height;
+    this.crop = crop ? fitCropToAspect(crop, this.sourceAspect, aspectRatio) : computeCenterCrop(this.sourceAspect, aspectRatio);
+    
+    // Fit the preview inside the editor while keeping the content aspect
+    const maxWidth = Math.min(900, window.innerWidth - 120);
+    const maxHeight = Math.min(540, window.innerHeight - 220);
+    const scale = Math.min(maxWidth / width, maxHeight / height);
+    this.canvas.width = Math.round(width * scale);
+    this.canvas.height = Math.round(height * scale);
+    
+    document.getElementById('crop-editor-info').textContent =
+      `${width} × ${height}px • Canvas ${aspectRatio.toFixed(2)}:1`;
+    
+    this.overlay.style.display = 'flex';
+    this.isOpen = true;
+    this.draw();
+  }
+  
+  close() {
+    this.overlay.style.display = 'none';
+    this.isOpen = false;
+    this.source = null;
+    this.onApply = null;
+    this.dragMode = null;
+  }
+  
+  apply() {
+    if (this.onApply) {
+      this.onApply({ ...this.crop });
+    }
+    this.close();
+  }
+  
+  resetCrop() {
+    this.crop = computeCenterCrop(this.sourceAspect, this.aspectRatio);
+    this.draw();
+  }
+  
+  // Crop rectangle in canvas pixels
+  getCropRect() {
+    return {
+      x: this.crop.x * this.canvas.width,
+      y: this.crop.y * this.canvas.height,
+      width: this.crop.width * this.canvas.width,
+      height: this.crop.height * this.canvas.height
+    };
+  }
+  
+  setCropRect(rect) {
+    this.crop = {
+      x: rect.x / this.canvas.width,
+      y: rect.y / this.canvas.height,
+      width: rect.width / this.canvas.width,
+      height: rect.height / this.canvas.height
+    };
+    this.draw();
+  }
+  
+  draw() {
+    if (!this.source) return;
+    
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    const rect = this.getCropRect();
+    
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(this.source, 0, 0, width, height);
+    
+    // Dim everything outside the crop
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, width, rect.y);
+    ctx.fillRect(0, rect.y + rect.height, width, height - rect.y - rect.height);
+    ctx.fillRect(0, rect.y, rect.x, rect.height);
+    ctx.fillRect(rect.x + rect.width, rect.y, width - rect.x - rect.width, rect.height);
+    
+    // Crop outline with rule-of-thirds guides
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 3; i++) {
+      ctx.moveTo(rect.x + rect.width * i / 3, rect.y);
+      ctx.lineTo(rect.x + rect.width * i / 3, rect.y + rect.height);
+      ctx.moveTo(rect.x, rect.y + rect.height * i / 3);
+      ctx.lineTo(rect.x + rect.width, rect.y + rect.height * i / 3);
+    }
+    ctx.stroke();
+    
+    // Corner handles
+    ctx.fillStyle = '#fff';
+    this.getCorners(rect).forEach(corner => {
+      ctx.fillRect(corner.x - this.handleSize / 2, corner.y - this.handleSize / 2, this.handleSize, this.handleSize);
+    });
+  }
+  
+  getCorners(rect) {
+    return [
+      { x: rect.x, y: rect.y },
+      { x: rect.x + rect.width, y: rect.y },
+      { x: rect.x, y: rect.y + rect.height },
+      { x: rect.x + rect.width, y: rect.y + rect.height }
+    ];
+  }
+  
+  getPointerPosition(event) {
+    const bounds = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - bounds.left) * this.canvas.width / bounds.width,
+      y: (event.clientY - bounds.top) * this.canvas.height / bounds.height
+    };
+  }
+  
+  onPointerDown(event) {
+    const point = this.getPointerPosition(event);
+    const rect = this.getCropRect();
+    const corners = this.getCorners(rect);
+    
+    const cornerIndex = corners.findIndex(corner =>
+      Math.abs(corner.x - point.x) <= this.handleSize && Math.abs(corner.y - point.y) <= this.handleSize
+    );
+    
+    if (cornerIndex !== -1) {
+      // Resize around the opposite corner
+      this.dragMode = 'resize';
+      this.dragStart = { anchor: corners[3 - cornerIndex] };
+    } else if (point.x >= rect.x && point.x <= rect.x + rect.width &&
+               point.y >= rect.y && point.y <= rect.y + rect.height) {
+      this.dragMode = 'move';
+      this.dragStart = { point, rect };
+    } else {
+      return;
+    }
+    
+    this.canvas.setPointerCapture(event.pointerId);
+  }
+  
+  onPointerMove(event) {
+    if (!this.dragMode) return;
+    
+    const point = this.getPointerPosition(event);
+    const { width, height } = this.canvas;
+    
+    if (this.dragMode === 'move') {
+      const { rect } = this.dragStart;
+      this.setCropRect({
+        ...rect,
+        x: THREE.MathUtils.clamp(rect.x + point.x - this.dragStart.point.x, 0, width - rect.width),
+        y: THREE.MathUtils.clamp(rect.y + point.y - this.dragStart.point.y, 0, height - rect.height)
+      });
+    } else {
+      const { anchor } = this.dragStart;
+      const right = point.x >= anchor.x;
+      const down = point.y >= anchor.y;
+      
+      // Width follows the pointer with the height locked to the canvas aspect, limited by the content bounds
+      const maxWidth = Math.min(
+        right ? width - anchor.x : anchor.x,
+        (down ? height - anchor.y : anchor.y) * this.aspectRatio
+      );
+      const rectWidth = THREE.MathUtils.clamp(
+        Math.max(Math.abs(point.x - anchor.x), Math.abs(point.y - anchor.y) * this.aspectRatio),
+        Math.min(20, maxWidth),
+        maxWidth
+      );
+      const rectHeight = rectWidth / this.aspectRatio;
+      
+      this.setCropRect({
+        x: right ? anchor.x : anchor.x - rectWidth,
+        y: down ? anchor.y : anchor.y - rectHeight,
+        width: rectWidth,
+        height: rectHeight
+      });
+    }
+  }
+  
+  onPointerUp(event) {
+    if (this.dragMode) {
+      this.canvas.releasePointerCapture(event.pointerId);
+    }
+    this.dragMode = null;
+    this.dragStart = null;
+  }
+  
+  // Scroll zooms the crop around its centre
+  onWheel(event) {
+    event.preventDefault();
+    
+    const factor = event.deltaY > 0 ? 1.05 : 1 / 1.05;
+    const minWidth = 20 / this.canvas.width;
+    this.crop = fitCropToAspect({
+      ...this.crop,
+      x: this.crop.x + this.crop.width * (1 - factor) / 2,
+      y: this.crop.y + this.crop.height * (1 - factor) / 2,
+      width: Math.max(minWidth, this.crop.width * factor),
+      height: Math.max(minWidth, this.crop.height * factor)
+    }, this.sourceAspect, this.aspectRatio);
+    this.draw();
+  }
+}
+
+// StudioImportDialog Class - Picks which materials and meshes of an imported studio model are LED surfaces
+class StudioImportDialog {
+  constructor() {
+    this.overlay = document.getElementById('studio-import');
+    this.materialList = document.getElementById('studio-import-materials');
+    this.meshList = document.getElementById('studio-import-meshes');
+    this.onImport = null;
+    this.isOpen = false;
+    
+    document.getElementById('studio-import-apply-btn').addEventListener('click', () => this.apply());
+    document.getElementById('studio-import-cancel-btn').addEventListener('click', () => this.close());
+    this.overlay.addEventListener('change', () => this.updateSummary());
+  }
+  
+  open(displayName, summary, onImport) {
+    this.onImport = onImport;
+    
+    document.getElementById('studio-import-name').value = displayName;
+    document.getElementById('studio-import-aspect').value = '10:3';
+    document.getElementById('studio-import-pitch').value = '';
+    
+    // Materials named like screens are ticked to start with; unnamed ones can only be picked per mesh
+    this.materialList.innerHTML = '';
+    summary.materials.filter(material => material.name).forEach((material) => {
+      const suggested = /led|screen|wall|volume/i.test(material.name);
+      this.materialList.appendChild(this.createOption(material.name, `${material.name} (${material.meshCount} mesh${material.meshCount === 1 ? '' : 'es'})`, suggested));
+    });
+    
+    this.meshList.innerHTML = '';
+    summary.meshes.forEach((mesh) => {
+      const materials = mesh.materials.map(name => name || 'unnamed').join(', ');
+      this.meshList.appendChild(this.createOption(mesh.name, `${mesh.name} — ${materials}`, false));
+    });
+    
+    this.overlay.style.display = 'flex';
+    this.isOpen = true;
+    this.updateSummary();
+  }
+  
+  createOption(value, label, checked) {
+    const option = document.createElement('label');
+    option.className = 'checkbox-label';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = checked;
+    
+    option.appendChild(checkbox);
+    option.appendChild(document.createTextNode(` ${label}`));
+    return option;
+  }
+  
+  getChecked(list) {
+    return Array.from(list.querySelectorAll('input:checked'), checkbox => checkbox.value);
+  }
+  
+  updateSummary() {
+    const materials = this.getChecked(this.materialList).length;
+    const meshes = this.getChecked(this.meshList).length;
+    document.getElementById('studio-import-info').textContent = `${materials} material${materials === 1 ? '' : 's'} • ${meshes} mesh${meshes === 1 ? '' : 'es'} as LED surfaces`;
+    document.getElementById('studio-import-apply-btn').disabled = materials + meshes === 0;
+  }
+  
+  close() {
+    this.overlay.style.display = 'none';
+    this.isOpen = false;
+    this.onImport = null;
+  }
+  
+  apply() {
+    const pixelPitch = parseFloat(document.getElementById('studio-import-pitch').value);
+    const options = {
+      displayName: document.getElementById('studio-import-name').value.trim() || 'Imported Studio',
+      screenMaterials: this.getChecked(this.materialList),
+      screenMeshes: this.getChecked(this.meshList),
+      canvasAspect: parseAspectRatio(document.getElementById('studio-import-aspect').value) || DEFAULT_CANVAS_ASPECT,
+      pixelPitch: pixelPitch > 0 ? pixelPitch : null
+    };
+    
+    if (this.onImport) {
+      this.onImport(options);
+    }
+    this.close();
+  }
+}
+
+// VolumeBuilderDialog Class - Edits the parameters of a generated LED volume
+class VolumeBuilderDialog {
+  constructor() {
+    this.overlay = document.getElementById('volume-builder');
+    this.totemList = document.getElementById('volume-builder-totems');
+    this.onBuild = null;
+    this.isOpen = false;
+    
+    document.getElementById('volume-builder-apply-btn').addEventListener('click', () => this.apply());
+    document.getElementById('volume-builder-cancel-btn').addEventListener('click', () => this.close());
+    document.getElementById('volume-builder-add-totem-btn').addEventListener('click', () => {
+      // Alternate sides so a pair of totems flanks the wall
+      const totem = createDefaultTotem();
+      if (this.totemList.children.length % 2 === 1) {
+        totem.x = -totem.x;
+      }
+      this.totemList.appendChild(this.createTotemRow(totem));
+      this.updateSummary();
+    });
+    this.totemList.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('.volume-totem-remove');
+      if (removeButton) {
+        removeButton.closest('.volume-totem-row').remove();
+        this.updateSummary();
+      }
+    });
+    this.overlay.addEventListener('input', () => this.updateSummary());
+    this.overlay.addEventListener('change', () => this.updateSummary());
+  }
+  
+  open(parameters, onBuild) {
+    this.onBuild = onBuild;
+    
+    document.getElementById('volume-builder-name').value = parameters.name;
+    this.overlay.querySelectorAll('[data-param]').forEach((input) => {
+      const [group, field] = input.dataset.param.split('.');
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(parameters[group][field]);
+      } else {
+        input.value = parameters[group][field];
+      }
+    });
+    
+    this.totemList.innerHTML = '';
+    parameters.totems.forEach(totem => this.totemList.appendChild(this.createTotemRow(totem)));
+    
+    this.overlay.style.display = 'flex';
+    this.isOpen = true;
+    this.updateSummary();
+  }
+  
+  createTotemRow(totem) {
+    const row = document.createElement('div');
+    row.className = 'volume-totem-row';
+    
+    [['width', 'W', 0.1], ['height', 'H', 0.1], ['x', 'X', 0.1], ['z', 'Z', 0.1], ['rotation', 'Rot°', 1]].forEach(([field, label, step]) => {
+      const wrapper = document.createElement('label');
+      wrapper.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = step;
+      input.value = totem[field];
+      input.dataset.totem = field;
+      wrapper.appendChild(input);
+      row.appendChild(wrapper);
+    });
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'volume-totem-remove';
+    removeButton.title = 'Remove Totem';
+    removeButton.innerHTML = '<i data-lucide="x"></i>';
+    row.appendChild(removeButton);
+    
+    if (typeof lucide !== 'undefined') {
+      lucide.createIcons();
+    }
+    return row;
+  }
+  
+  readParameters() {
+    const parameters = createDefaultVolumeParameters();
+    parameters.name = document.getElementById('volume-builder-name').value.trim() || parameters.name;
+    
+    // Empty or invalid fields keep their defaults
+    this.overlay.querySelectorAll('[data-param]').forEach((input) => {
+      const [group, field] = input.dataset.param.split('.');
+      if (input.type === 'checkbox') {
+        parameters[group][field] = input.checked;
+      } else if (Number.isFinite(parseFloat(input.value))) {
+        parameters[group][field] = parseFloat(input.value);
+      }
+    });
+    
+    parameters.totems = Array.from(this.totemList.querySelectorAll('.volume-totem-row'), (row) => {
+      const totem = createDefaultTotem();
+      row.querySelectorAll('[data-totem]').forEach((input) => {
+        if (Number.isFinite(parseFloat(input.value))) {
+          totem[input.dataset.totem] = parseFloat(input.value);
+        }
+      });
+      return totem;
+    });
+    
+    return parameters;
+  }
+  
+  updateSummary() {
+    const parameters = this.readParameters();
+    document.getElementById('volume-builder-info').textContent = new LEDVolumeBuilder(parameters).getSummary();
+    this.overlay.querySelectorAll('[data-param^="ceiling."]:not([type="checkbox"])').forEach((input) => {
+      input.disabled = !parameters.ceiling.enabled;
+    });
+  }
+  
+  close() {
+    this.overlay.style.display = 'none';
+    this.isOpen = false;
+    this.onBuild = null;
+  }
+  
+  apply() {
+    const parameters = this.readParameters();
+    if (this.onBuild) {
+      this.onBuild(parameters);
+    }
+    this.close();
+  }
+}
+
+// SceneObject Class - Manages placed 3D models in the scene
+class SceneObject {
+  constructor(mesh, name = 'Object') {
+    this.mesh = mesh;
+    this.name = name;
+    this.id = generateUniqueId();
+    this.isSelected = false;
+    this.originalMaterials = new Map();
+    
+    this.transform = {
+      position: mesh.position.clone(),
+      rotation: mesh.rotation.clone(),
+      scale: mesh.scale.clone()
+    };
+    
+    this.storeOriginalMaterials();
+  }
+  
+  storeOriginalMaterials() {
+    this.mesh.traverse((child) => {
+      if (child.isMesh && child.material) {
+        if (!child.userData.originalEmissive) {
+          child.userData.originalEmissive = child.material.emissive ? 
+            child.material.emissive.clone() : new THREE.Color(0x000000);
+          child.userData.originalEmissiveIntensity = child.material.emissiveIntensity || 0;
+        }
+      }
+    });
+  }
+  
+  select() {
+    if (this.isSelected) return;
+    
+    this.isSelected = true;
+    
+    // Add visual highlight
+    this.mesh.traverse((child) => {
+      if (child.isMesh && child.material) {
+        if (child.material.emissive) {
+          child.material.emissive.setHex(0x333333);
+          child.material.emissiveIntensity = 0.3;
+        }
+        child.material.needsUpdate = true;
+      }
+    });
+    
+    console.log('SceneObject selected:', this.name);
+  }
+  
+  deselect() {
+    if (!this.isSelected) return;
+    
+    this.isSelected = false;
+    
+    // Remove visual highlight
+    this.mesh.traverse((child) => {
+      if (child.isMesh && child.material && child.userData.originalEmissive) {
+        child.material.emissive.copy(child.userData.originalEmissive);
+        child.material.emissiveIntensity = child.userData.originalEmissiveIntensity;
+        child.material.needsUpdate = true;
+      }
+    });
+    
+    console.log('SceneObject deselected:', this.name);
+  }
+  
+  updateTransform() {
+    this.transform.position.copy(this.mesh.position);
+    this.transform.rotation.copy(this.mesh.rotation);
+    this.transform.scale.copy(this.mesh.scale);
+  }
+  
+  delete() {
+    // Dispose of geometry and materials
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (Array.isArray(child.material)) {
+            child.material.forEach(material => {
+              this.disposeMaterial(material);
+            });
+          } else {
+            this.disposeMaterial(child.material);
+          }
+        }
+      }
+    });
+    
+    console.log('SceneObject deleted and memory freed:', this.name);
+  }
+  
+  disposeMaterial(material) {
+    if (material.map) material.map.dispose();
+    if (material.normalMap) material.normalMap.dispose();
+    if (material.emissiveMap) material.emissiveMap.dispose();
+    material.dispose();
+  }
+}
+
+// Stops above middle grey a cinema camera holds before the sensor clips
+const CAMERA_HIGHLIGHT_STOPS = 6;
+const MOTION_BLUR_SAMPLES = 16;
+
+// MotionRecorder Class - Short transform history of movable objects, for shutter-accurate motion blur
+class MotionRecorder {
+  constructor(duration = 0.5) {
+    this.duration = duration; // Seconds of history kept
+    this.history = new Map(); // Object3D -> [{ time, position, quaternion, scale }]
+    this.restoreStates = null;
+  }
+  
+  record(objects, time) {
+    // Forget objects that are no longer in the scene
+    this.history.forEach((samples, object) => {
+      if (!objects.includes(object)) this.history.delete(object);
+    });
+    
+    objects.forEach((object) => {
+      if (!this.history.has(object)) this.history.set(object, []);
+      const samples = this.history.get(object);
+      samples.push({
+        time,
+        position: object.position.clone(),
+        quaternion: object.quaternion.clone(),
+        scale: object.scale.clone()
+      });
+      while (samples.length > 2 && samples[1].time < time - this.duration) {
+        samples.shift();
+      }
+    });
+  }
+  
+  // Move every recorded object to where it was at a past time
+  poseAt(time) {
+    if (!this.restoreStates) {
+      this.restoreStates = Array.from(this.history.keys()).map(object => ({
+        object,
+        position: object.position.clone(),
+        quaternion: object.quaternion.clone(),
+        scale: object.scale.clone()
+      }));
+    }
+    
+    this.history.forEach((samples, object) => {
+      let next = samples.findIndex(sample => sample.time >= time);
+      if (next === -1) next = samples.length - 1;
+      const previous = Math.max(0, next - 1);
+      const a = samples[previous];
+      const b = samples[next];
+      const alpha = b.time > a.time ? THREE.MathUtils.clamp((time - a.time) / (b.time - a.time), 0, 1) : 1;
+      
+      object.position.lerpVectors(a.position, b.position, alpha);
+      object.quaternion.slerpQuaternions(a.quaternion, b.quaternion, alpha);
+      object.scale.lerpVectors(a.scale, b.scale, alpha);
+    });
+  }
+  
+  restore() {
+    if (!this.restoreStates) return;
+    
+    this.restoreStates.forEach(({ object, position, quaternion, scale }) => {
+      object.position.copy(position);
+      object.quaternion.copy(quaternion);
+      object.scale.copy(scale);
+    });
+    this.restoreStates = null;
+  }
+}
+
+// CinemaCamera Class - Manages cinema cameras with preview functionality
+class CinemaCamera {
+  constructor(name, scene) {
+    this.name = name;
+    this.id = generateUniqueId();
+    this.scene = scene;
+    this.isSelected = false;
+    
+    // Create camera
+    this.camera = new THREE.PerspectiveCamera(75, 16/9, 0.1, 1000);
+    
+    // Camera settings
+    this.focalLength = 50;
+    this.sensorSize = 24;
+    
+    // Exposure settings; the defaults expose the stage's default lighting at about unity
+    this.iso = 800;
+    this.frameRate = 24;
+    this.shutterAngle = 180;
+    this.tStop = 5.6;
+    this.ndDensity = 0.6; // Optical density, 0.3 per stop
+    this.motionBlur = false; // Shutter-accurate motion blur in captures
+    
+    // Create visual representation
+    this.createVisualRepresentation();
+    this.createHelper();
+    this.updateCameraSettings();
+    
+    // Initial positioning
+    this.group.position.set(0, 1.7, -5);
+    this.group.lookAt(0, 0, 0);
+  }
+  
+  createVisualRepresentation() {
+    // Create camera group
+    this.group = new THREE.Group();
+    
+    // Create camera mesh
+    const cameraGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.4);
+    const cameraMaterial = new THREE.MeshStandardMaterial({ 
+      color: 0xff8800,
+      emissive: 0x442200,
+      emissiveIntensity: 0.3
+    });
+    this.mesh = new THREE.Mesh(cameraGeometry, cameraMaterial);
+    
+    // Position camera object
+    this.camera.position.set(0, 0, 0.2);
+    this.camera.rotation.y = Math.PI;
+    
+    // Add to group
+    this.group.add(this.camera);
+    this.group.add(this.mesh);
+  }
+  
+  createHelper() {
+    this.helper = new THREE.CameraHelper(this.camera);
+    this.helper.visible = false;
+  }
+  
+  addToScene() {
+    this.scene.add(this.group);
+    this.scene.add(this.helper);
+  }
+  
+  removeFromScene() {
+    this.scene.remove(this.group);
+    this.scene.remove(this.helper);
+  }
+  
+  select() {
+    if (this.isSelected) return;
+    
+    this.isSelected = true;
+    this.helper.visible = true;
+    
+    // Highlight mesh
+    this.mesh.material.emissive.setHex(0x884400);
+    this.mesh.material.emissiveIntensity = 0.6;
+    
+    console.log('CinemaCamera selected:', this.name);
+  }
+  
+  deselect() {
+    if (!this.isSelected) return;
+    
+    this.isSelected = false;
+    this.helper.visible = false;
+    
+    // Remove highlight
+    this.mesh.material.emissive.setHex(0x442200);
+    this.mesh.material.emissiveIntensity = 0.3;
+    
+    console.log('CinemaCamera deselected:', this.name);
+  }
+  
+  setFocalLength(length) {
+    this.focalLength = length;
+    this.updateCameraSettings();
+  }
+  
+  setSensorSize(size) {
+    this.sensorSize = size;
+    this.updateCameraSettings();
+  }
+  
+  setExposure(settings) {
+    Object.assign(this, settings);
+  }
+  
+  getShutterTime() {
+    return (this.shutterAngle / 360) / this.frameRate;
+  }
+  
+  // Luminance that renders as 18% middle grey (reflected-light metering, K = 12.5)
+  getMiddleGreyNits() {
+    return 12.5 * this.tStop * this.tStop / (this.getShutterTime() * this.iso) * Math.pow(10, this.ndDensity);
+  }
+  
+  // Scale from scene units (LED_REFERENCE_NITS per unit) to display-linear camera output
+  getExposure() {
+    return 0.18 * LED_REFERENCE_NITS / this.getMiddleGreyNits();
+  }
+  
+  // Expose a renderer showing this camera; the tone curve stands in for the camera's display LUT
+  applyExposure(renderer) {
+    renderer.toneMapping = THREE.AgXToneMapping;
+    renderer.toneMappingExposure = this.getExposure();
+  }
+  
+  updateCameraSettings() {
+    const fov = 2 * Math.atan(this.sensorSize / (2 * this.focalLength)) * 180 / Math.PI;
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
+    
+    if (this.helper) {
+      this.helper.update();
+      this.helper.updateMatrixWorld(true);
+    }
+  }
+  
+  capture(app) {
+    // Create temporary high-resolution renderer
+    const captureRenderer = new THREE.WebGLRenderer({ 
+      antialias: true,
+      preserveDrawingBuffer: true 
+    });
+    captureRenderer.setSize(1920, 1080);
+    captureRenderer.setClearColor(0x000000);
+    captureRenderer.shadowMap.enabled = true;
+    captureRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    
+    this.applyExposure(captureRenderer);
+    
+    // Store and hide camera visuals
+    const originalVisibilities = app.hideCameraVisualsForCapture();
+    
+    // Render and download
+    if (this.motionBlur) {
+      this.renderMotionBlur(captureRenderer, app);
+    } else {
+      app.prepareStageRender(captureRenderer);
+      captureRenderer.render(this.scene, this.camera);
+    }
+    
+    const canvas = captureRenderer.domElement;
+    const link = document.createElement('a');
+    link.download = `${this.name}_capture.png`;
+    link.href = canvas.toDataURL();
+    link.click();
+    
+    // Restore visibilities and cleanup
+    app.restoreCameraVisualsAfterCapture(originalVisibilities);
+    captureRenderer.dispose();
+    
+    console.log('Camera view captured:', this.name);
+  }
+  
+  // Average sub-frames across the time the shutter was open, ending now
+  renderMotionBlur(renderer, app) {
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    const frameTarget = new THREE.WebGLRenderTarget(size.x, size.y, { type: THREE.HalfFloatType, samples: 4 });
+    const accumulationTarget = new THREE.WebGLRenderTarget(size.x, size.y, { type: THREE.HalfFloatType });
+    
+    const quadScene = new THREE.Scene();
+    const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const quadMaterial = new THREE.MeshBasicMaterial({
+      map: frameTarget.texture,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      opacity: 1 / MOTION_BLUR_SAMPLES,
+      depthTest: false,
+      depthWrite: false
+    });
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), quadMaterial);
+    quadScene.add(quad);
+    
+    renderer.setRenderTarget(accumulationTarget);
+    renderer.clear();
+    
+    const shutterTime = this.getShutterTime();
+    const now = performance.now() / 1000;
+    
+    for (let i = 0; i < MOTION_BLUR_SAMPLES; i++) {
+      app.motionRecorder.poseAt(now - shutterTime * (1 - (i + 0.5) / MOTION_BLUR_SAMPLES));
+      app.prepareStageRender(renderer);
+      
+      renderer.setRenderTarget(frameTarget);
+      renderer.render(this.scene, this.camera);
+      
+      renderer.setRenderTarget(accumulationTarget);
+      renderer.autoClear = false;
+      renderer.render(quadScene, quadCamera);
+      renderer.autoClear = true;
+    }
+    app.motionRecorder.restore();
+    
+    // Tone map the averaged frame onto the canvas
+    quadMaterial.map = accumulationTarget.texture;
+    quadMaterial.transparent = false;
+    quadMaterial.blending = THREE.NoBlending;
+    quadMaterial.opacity = 1;
+    renderer.setRenderTarget(null);
+    renderer.render(quadScene, quadCamera);
+    
+    quad.geometry.dispose();
+    quadMaterial.dispose();
+    frameTarget.dispose();
+    accumulationTarget.dispose();
+  }
+  
+  delete() {
+    this.removeFromScene();
+    
+    // Dispose of resources
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.helper.dispose();
+    
+    console.log('CinemaCamera deleted:', this.name);
+  }
+}
+
+// InnerFrustum Class - Renders a virtual environment from a cinema camera's viewpoint onto the LED wall (ICVFX)
+class InnerFrustum {
+  constructor() {
+    this.virtualScene = new THREE.Scene();
+    this.environment = null;
+    this.environmentName = null;
+    this.enabled = false;
+    this.overscan = 0.2; // Fraction the frustum is widened beyond the camera's field of view
+    this.edgeBlend = 0.1; // Fraction of the frustum used to feather into the outer frustum content
+    this.resolution = { width: 1920, height: 1080 };
+    
+    this.camera = new THREE.PerspectiveCamera();
+    this.renderTargets = new WeakMap(); // WebGLRenderer -> WebGLRenderTarget, each renderer has its own GL context
+    
+    // Shared with every LED surface material compositing the inner frustum
+    this.uniforms = {
+      innerFrustumMap: { value: null },
+      innerFrustumMatrix: { value: new THREE.Matrix4() },
+      innerFrustumEdgeBlend: { value: this.edgeBlend },
+      innerFrustumActive: { value: 0 }
+    };
+    
+    this.setupLighting();
+  }
+  
+  setupLighting() {
+    const hemisphereLight = new THREE.HemisphereLight(0xffffff, 0x444444, 1.5);
+    this.virtualScene.add(hemisphereLight);
+    
+    const sunLight = new THREE.DirectionalLight(0xffffff, 2);
+    sunLight.position.set(10, 20, 10);
+    this.virtualScene.add(sunLight);
+  }
+  
+  async loadEnvironment(file, job = null) {
+    const fileURL = URL.createObjectURL(file);
+    
+    try {
+      const gltf = await loadGLTF(fileURL, job);
+      this.clearEnvironment();
+      
+      this.environment = gltf.scene;
+      this.environmentName = file.name.replace(/\.[^/.]+$/, "");
+      this.virtualScene.add(this.environment);
+      
+      console.log('Virtual environment loaded:', this.environmentName);
+      return this.environment;
+    } finally {
+      URL.revokeObjectURL(fileURL);
+    }
+  }
+  
+  clearEnvironment() {
+    if (!this.environment) return;
+    
+    this.virtualScene.remove(this.environment);
+    this.environment.traverse((child) => {
+      if (child.isMesh) {
+        if (child.geometry) child.geometry.dispose();
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => {
+          if (!material) return;
+          if (material.map) material.map.dispose();
+          if (material.normalMap) material.normalMap.dispose();
+          if (material.emissiveMap) material.emissiveMap.dispose();
+          material.dispose();
+        });
+      }
+    });
+    
+    console.log('Virtual environment cleared:', this.environmentName);
+    this.environment = null;
+    this.environmentName = null;
+  }
+  
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+  
+  setOverscan(overscan) {
+    this.overscan = overscan;
+  }
+  
+  setEdgeBlend(edgeBlend) {
+    this.edgeBlend = edgeBlend;
+    this.uniforms.innerFrustumEdgeBlend.value = edgeBlend;
+  }
+  
+  getRenderTarget(renderer) {
+    let renderTarget = this.renderTargets.get(renderer);
+    if (!renderTarget) {
+      renderTarget = new THREE.WebGLRenderTarget(this.resolution.width, this.resolution.height);
+      this.renderTargets.set(renderer, renderTarget);
+    }
+    return renderTarget;
+  }
+  
+  // Render the environment as seen by the tracked camera, ready for the LED materials of this renderer
+  render(renderer, cinemaCamera) {
+    if (!this.enabled || !this.environment || !cinemaCamera) {
+      this.uniforms.innerFrustumActive.value = 0;
+      return;
+    }
+    
+    const source = cinemaCamera.camera;
+    source.updateMatrixWorld(true);
+    
+    // Widen the field of view by the overscan while keeping the camera's aspect
+    const halfFov = THREE.MathUtils.degToRad(source.fov) / 2;
+    this.camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(halfFov) * (1 + this.overscan)));
+    this.camera.aspect = source.aspect;
+    this.camera.near = source.near;
+    this.camera.far = source.far;
+    this.camera.updateProjectionMatrix();
+    
+    source.matrixWorld.decompose(this.camera.position, this.camera.quaternion, this.camera.scale);
+    this.camera.updateMatrixWorld(true);
+    
+    const renderTarget = this.getRenderTarget(renderer);
+    const previousRenderTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(renderTarget);
+    renderer.render(this.virtualScene, this.camera);
+    renderer.setRenderTarget(previousRenderTarget);
+    
+    this.uniforms.innerFrustumMap.value = renderTarget.texture;
+    this.uniforms.innerFrustumMatrix.value.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+    this.uniforms.innerFrustumActive.value = 1;
+  }
+}
+
+// StageLighting Class - Lights props and talent with the LED content: an environment probe for image-based
+// lighting and reflections, plus area lights matching the colour of each wall section
+class StageLighting {
+  constructor(scene) {
+    this.scene = scene;
+    this.enabled = true;
+    this.reflectionIntensity = 1;
+    this.areaIntensity = 0.5;
+    
+    this.ledScreen = null;
+    this.studioMesh = null;
+    this.probePosition = new THREE.Vector3(0, 1.5, 0);
+    this.areaLights = []; // { light, surface, uvBounds }
+    
+    // Probes are rendered per renderer since render targets belong to one WebGL context
+    this.environments = new WeakMap(); // renderer -> { cubeCamera, cubeTarget, pmremGenerator, envTarget, version }
+    this.version = 0;
+    this.colorsVersion = -1;
+    this.lastLiveUpdate = 0;
+    
+    // Small copy of each content frame for averaging wall colours on the CPU
+    this.sampleCanvas = document.createElement('canvas');
+    this.sampleCanvas.width = 64;
+    this.sampleCanvas.height = 32;
+    this.sampleContext = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+    this.samples = new Map(); // content image -> ImageData
+    
+    RectAreaLightUniformsLib.init();
+  }
+  
+  // Rebuild the area lights and probe position for a studio's LED surfaces
+  setLEDScreen(ledScreen, studioMesh) {
+    this.clearAreaLights();
+    this.ledScreen = ledScreen;
+    this.studioMesh = studioMesh;
+    
+    if (!ledScreen || !studioMesh) return;
+    studioMesh.updateMatrixWorld(true);
+    
+    // Probe sits at head height in the middle of the volume
+    const bounds = new THREE.Box3();
+    ledScreen.getSurfaces().forEach(surface => surface.meshes.forEach(mesh => bounds.expandByObject(mesh)));
+    if (!bounds.isEmpty()) {
+      const center = bounds.getCenter(new THREE.Vector3());
+      this.probePosition.set(center.x, 1.5, center.z);
+    }
+    
+    ledScreen.getSurfaces().forEach((surface) => {
+      this.createSurfaceLights(surface).forEach(areaLight => {
+        this.areaLights.push(areaLight);
+        this.scene.add(areaLight.light);
+      });
+    });
+    
+    this.invalidate();
+  }
+  
+  // One area light for a flat surface, a row of vertical strips for a curved one
+  createSurfaceLights(surface) {
+    const points = [];
+    const position = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const normalMatrix = new THREE.Matrix3();
+    
+    surface.meshes.forEach((mesh) => {
+      const { position: positions, normal: normals, uv: uvs } = mesh.geometry.attributes;
+      if (!positions || !normals || !uvs) return;
+      normalMatrix.getNormalMatrix(mesh.matrixWorld);
+      
+      for (let i = 0; i < positions.count; i++) {
+        points.push({
+          position: position.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld).clone(),
+          normal: normal.fromBufferAttribute(normals, i).applyMatrix3(normalMatrix).normalize().clone(),
+          uv: new THREE.Vector2().fromBufferAttribute(uvs, i)
+        });
+      }
+    });
+    
+    if (points.length === 0) return [];
+    
+    const averageNormal = points.reduce((sum, point) => sum.add(point.normal), new THREE.Vector3()).divideScalar(points.length);
+    const stripCount = averageNormal.length() > 0.98 ? 1 : 6;
+    const uvBounds = surface.getUVBounds();
+    const stripWidth = (uvBounds.max.x - uvBounds.min.x) / stripCount;
+    
+    const lights = [];
+    for (let i = 0; i < stripCount; i++) {
+      const minU = uvBounds.min.x + i * stripWidth;
+      const maxU = i === stripCount - 1 ? uvBounds.max.x : minU + stripWidth;
+      const stripPoints = points.filter(point => point.uv.x >= minU - 1e-4 && point.uv.x <= maxU + 1e-4);
+      const light = this.createAreaLight(stripPoints);
+      
+      if (light) {
+        light.name = `${surface.key} Wall Light ${i + 1}`;
+        lights.push({
+          light,
+          surface,
+          uvBounds: new THREE.Box2(new THREE.Vector2(minU, uvBounds.min.y), new THREE.Vector2(maxU, uvBounds.max.y))
+        });
+      }
+    }
+    return lights;
+  }
+  
+  // Rectangle light covering the given wall points, facing into the volume
+  createAreaLight(points) {
+    if (points.length < 3) return null;
+    
+    const center = points.reduce((sum, point) => sum.add(point.position), new THREE.Vector3()).divideScalar(points.length);
+    const normal = points.reduce((sum, point) => sum.add(point.normal), new THREE.Vector3()).normalize();
+    if (normal.lengthSq() === 0) return null;
+    if (normal.dot(new THREE.Vector3().subVectors(this.probePosition, center)) < 0) {
+      normal.negate();
+    }
+    
+    // Extent of the points in the plane of the light
+    const up = Math.abs(normal.y) > 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+    const right = new THREE.Vector3().crossVectors(up, normal).normalize();
+    up.crossVectors(normal, right).normalize();
+    
+    const offset = new THREE.Vector3();
+    const extent = new THREE.Box2();
+    points.forEach((point) => {
+      offset.subVectors(point.position, center);
+      extent.expandByPoint(new THREE.Vector2(offset.dot(right), offset.dot(up)));
+    });
+    const size = extent.getSize(new THREE.Vector2());
+    const middle = extent.getCenter(new THREE.Vector2());
+    
+    const light = new THREE.RectAreaLight(0x000000, 1, Math.max(size.x, 0.01), Math.max(size.y, 0.01));
+    light.position.copy(center).addScaledVector(right, middle.x).addScaledVector(up, middle.y).addScaledVector(normal, 0.02);
+    light.up.copy(up);
+    light.lookAt(light.position.clone().add(normal));
+    return light;
+  }
+  
+  clearAreaLights() {
+    this.areaLights.forEach(({ light }) => {
+      this.scene.remove(light);
+      light.dispose();
+    });
+    this.areaLights = [];
+    this.samples.clear();
+  }
+  
+  // Content, brightness or surface state changed
+  invalidate() {
+    this.version++;
+  }
+  
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.areaLights.forEach(({ light }) => light.visible = enabled);
+    this.invalidate();
+  }
+  
+  setReflectionIntensity(intensity) {
+    this.reflectionIntensity = intensity;
+  }
+  
+  setAreaIntensity(intensity) {
+    this.areaIntensity = intensity;
+    this.invalidate();
+  }
+  
+  // Per-frame update; playing video and the inner frustum refresh the lighting a few times per second
+  update(time, hasLiveContent) {
+    if (!this.enabled) return;
+    
+    if (hasLiveContent && time - this.lastLiveUpdate > 100) {
+      this.lastLiveUpdate = time;
+      this.samples.clear();
+      this.invalidate();
+    }
+    
+    if (this.colorsVersion !== this.version) {
+      this.colorsVersion = this.version;
+      this.updateAreaLightColors();
+    }
+  }
+  
+  updateAreaLightColors() {
+    this.areaLights.forEach(({ light, surface, uvBounds }) => {
+      light.color.copy(this.getSurfaceEmission(surface, uvBounds));
+      light.intensity = this.areaIntensity;
+    });
+  }
+  
+  // Average light the surface emits over a UV region, in scene units
+  getSurfaceEmission(surface, uvBounds) {
+    const color = new THREE.Color(0, 0, 0);
+    if (!surface.enabled) return color;
+    
+    const texture = surface.currentTexture;
+    const sample = texture ? this.sampleContent(texture) : null;
+    
+    if (sample) {
+      const signal = this.averageContent(sample, surface, uvBounds);
+      const { eotf, colorSpace } = surface.display;
+      const displayNits = Math.max(surface.getOutputNits(), 1);
+      const linear = sample.isHDR
+        ? signal.map(value => toneMapHDR(value, surface.hdr))
+        : signal.map(value => decodeLEDSignal(value, eotf, displayNits));
+      const matrix = CONTENT_COLOR_SPACES[colorSpace] || CONTENT_COLOR_SPACES.rec709;
+      color.setRGB(
+        Math.max(0, matrix[0] * linear[0] + matrix[1] * linear[1] + matrix[2] * linear[2]),
+        Math.max(0, matrix[3] * linear[0] + matrix[4] * linear[1] + matrix[5] * linear[2]),
+        Math.max(0, matrix[6] * linear[0] + matrix[7] * linear[1] + matrix[8] * linear[2])
+      );
+    } else {
+      color.setRGB(1, 1, 1);
+    }
+    
+    // Same white balance and luminance as the material output
+    return color.multiply(surface.material.emissive).multiplyScalar(surface.material.emissiveIntensity);
+  }
+  
+  sampleContent(texture) {
+    const image = texture.image;
+    if (!image) return null;
+    if (this.samples.has(image)) return this.samples.get(image);
+    if (isHDRTexture(texture)) return this.sampleHDRContent(texture);
+    
+    const { width, height } = getSourceSize(image);
+    if (!width || !height || (image.readyState !== undefined && image.readyState < 2)) return null;
+    
+    const { width: sampleWidth, height: sampleHeight } = this.sampleCanvas;
+    this.sampleContext.drawImage(image, 0, 0, sampleWidth, sampleHeight);
+    const sample = this.sampleContext.getImageData(0, 0, sampleWidth, sampleHeight);
+    this.samples.set(image, sample);
+    return sample;
+  }
+  
+  // Point-sampled scene-linear values, since a 2D canvas would clip them to 8 bits
+  sampleHDRContent(texture) {
+    const { width, height, data } = texture.image;
+    if (!width || !height || !data) return null;
+    
+    const { width: sampleWidth, height: sampleHeight } = this.sampleCanvas;
+    const channels = data.length / (width * height);
+    const sample = { width: sampleWidth, height: sampleHeight, data: new Float32Array(sampleWidth * sampleHeight * 4), isHDR: true };
+    
+    for (let y = 0; y < sampleHeight; y++) {
+      const sourceY = Math.floor((y + 0.5) / sampleHeight * height);
+      const row = texture.flipY ? height - 1 - sourceY : sourceY;
+      for (let x = 0; x < sampleWidth; x++) {
+        const index = (row * width + Math.floor((x + 0.5) / sampleWidth * width)) * channels;
+        const offset = (y * sampleWidth + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          sample.data[offset + c] = readTextureData(texture, index + Math.min(c, channels - 1));
+        }
+      }
+    }
+    
+    this.samples.set(texture.image, sample);
+    return sample;
+  }
+  
+  // Mean content signal (0-1 per channel, scene-linear for HDR) shown over a region of the surface's UVs
+  averageContent(sample, surface, uvBounds) {
+    const wholeImage = surface.mapping.mode === 'equirect';
+    let uv = new THREE.Vector2();
+    const sum = [0, 0, 0];
+    const steps = 6;
+    
+    for (let y = 0; y < steps; y++) {
+      for (let x = 0; x < steps; x++) {
+        if (wholeImage) {
+          // Panoramas aren't addressed by UVs, so use the whole frame
+          uv.set((x + 0.5) / steps, (y + 0.5) / steps);
+        } else {
+          uv = surface.canvasToContentUv(new THREE.Vector2(
+            THREE.MathUtils.lerp(uvBounds.min.x, uvBounds.max.x, (x + 0.5) / steps),
+            THREE.MathUtils.lerp(uvBounds.min.y, uvBounds.max.y, (y + 0.5) / steps)
+          ));
+          if (!uv) continue; // Clamped to black
+        }
+        
+        const px = Math.floor((uv.x - Math.floor(uv.x)) * sample.width);
+        const py = Math.floor((uv.y - Math.floor(uv.y)) * sample.height);
+        const index = (py * sample.width + px) * 4;
+        sum[0] += sample.data[index];
+        sum[1] += sample.data[index + 1];
+        sum[2] += sample.data[index + 2];
+      }
+    }
+    
+    return sum.map(value => value / (steps * steps * (sample.isHDR ? 1 : 255)));
+  }
+  
+  getEnvironment(renderer) {
+    let environment = this.environments.get(renderer);
+    if (!environment) {
+      const cubeTarget = new THREE.WebGLCubeRenderTarget(128, { type: THREE.HalfFloatType });
+      environment = {
+        cubeTarget,
+        cubeCamera: new THREE.CubeCamera(0.1, 200, cubeTarget),
+        pmremGenerator: new THREE.PMREMGenerator(renderer),
+        envTarget: null,
+        version: -1
+      };
+      this.environments.set(renderer, environment);
+    }
+    return environment;
+  }
+  
+  // Set the scene environment for a renderer, re-capturing the wall if it changed
+  apply(renderer) {
+    if (!this.enabled || !this.studioMesh) {
+      this.scene.environment = null;
+      return;
+    }
+    
+    const environment = this.getEnvironment(renderer);
+    if (environment.version !== this.version) {
+      environment.version = this.version;
+      this.captureEnvironment(renderer, environment);
+    }
+    
+    this.scene.environment = environment.envTarget.texture;
+    this.scene.environmentIntensity = this.reflectionIntensity;
+  }
+  
+  // Render only the studio so the probe sees the light coming from the LED surfaces
+  captureEnvironment(renderer, environment) {
+    const visibilities = this.scene.children.map(child => child.visible);
+    this.scene.children.forEach(child => child.visible = child === this.studioMesh);
+    this.scene.environment = null;
+    
+    environment.cubeCamera.position.copy(this.probePosition);
+    environment.cubeCamera.update(renderer, this.scene);
+    environment.envTarget = environment.pmremGenerator.fromCubemap(environment.cubeTarget.texture, environment.envTarget);
+    
+    this.scene.children.forEach((child, index) => child.visible = visibilities[index]);
+  }
+  
+  dispose() {
+    this.clearAreaLights();
+    this.scene.environment = null;
+  }
+}
+
+// LEDLayout Class - Cabinet grid of each LED surface and how it maps onto the processor canvases
+class LEDLayout {
+  constructor(definition) {
+    this.cabinets = definition.cabinets || {}; // type -> { width, height (m), pixelPitch (mm), resolution }
+    this.processors = definition.processors || []; // [{ name, width, height }] output canvases in pixels
+    this.surfaces = new Map(); // surface key -> surface layout
+    
+    Object.entries(definition.surfaces || {}).forEach(([key, surface]) => {
+      const cabinet = this.cabinets[surface.cabinet];
+      if (!cabinet) {
+        console.warn('Unknown cabinet type for LED surface:', key, surface.cabinet);
+        return;
+      }
+      
+      this.surfaces.set(key, {
+        key,
+        cabinetType: surface.cabinet,
+        cabinet,
+        columns: surface.columns,
+        rows: surface.rows,
+        processor: surface.processor || 0,
+        x: surface.x || 0,
+        y: surface.y || 0
+      });
+    });
+  }
+  
+  getSurfaceLayout(key) {
+    return this.surfaces.get(key) || null;
+  }
+  
+  getSurfaceLayouts() {
+    return Array.from(this.surfaces.values());
+  }
+  
+  getSurfaceResolution(key) {
+    const surface = this.surfaces.get(key);
+    if (!surface) return null;
+    
+    return {
+      width: surface.columns * surface.cabinet.resolution.width,
+      height: surface.rows * surface.cabinet.resolution.height
+    };
+  }
+  
+  // Physical size of a surface in metres
+  getSurfaceSize(key) {
+    const surface = this.surfaces.get(key);
+    if (!surface) return null;
+    
+    return {
+      width: surface.columns * surface.cabinet.width,
+      height: surface.rows * surface.cabinet.height
+    };
+  }
+  
+  getTotalPixelCount() {
+    return this.getSurfaceLayouts().reduce((total, surface) => {
+      const { width, height } = this.getSurfaceResolution(surface.key);
+      return total + width * height;
+    }, 0);
+  }
+  
+  // Cabinets of a surface in processor canvas pixels, numbered row by row from the top left
+  getCabinetRects(key) {
+    const surface = this.surfaces.get(key);
+    if (!surface) return [];
+    
+    const { width, height } = surface.cabinet.resolution;
+    const cabinets = [];
+    for (let row = 0; row < surface.rows; row++) {
+      for (let column = 0; column < surface.columns; column++) {
+        cabinets.push({
+          number: row * surface.columns + column + 1,
+          column,
+          row,
+          x: surface.x + column * width,
+          y: surface.y + row * height,
+          width,
+          height
+        });
+      }
+    }
+    return cabinets;
+  }
+  
+  // Check that surfaces fit their processor canvas and don't overlap
+  validate() {
+    const problems = [];
+    const layouts = this.getSurfaceLayouts();
+    
+    layouts.forEach((surface, index) => {
+      const processor = this.processors[surface.processor];
+      const { width, height } = this.getSurfaceResolution(surface.key);
+      
+      if (!processor) {
+        problems.push(`${surface.key}: processor ${surface.processor} does not exist`);
+        return;
+      }
+      if (surface.x + width > processor.width || surface.y + height > processor.height) {
+        problems.push(`${surface.key}: ${width} × ${height}px at ${surface.x},${surface.y} exceeds ${processor.name} canvas`);
+      }
+      
+      layouts.slice(index + 1).forEach((other) => {
+        if (other.processor !== surface.processor) return;
+        const otherSize = this.getSurfaceResolution(other.key);
+        const overlaps = surface.x < other.x + otherSize.width && other.x < surface.x + width &&
+          surface.y < other.y + otherSize.height && other.y < surface.y + height;
+        if (overlaps) {
+          problems.push(`${surface.key} overlaps ${other.key} on ${processor.name}`);
+        }
+      });
+    });
+    
+    return problems;
+  }
+  
+  // Template image for content creators: every surface and cabinet drawn at processor resolution
+  createPixelMapCanvas(processorIndex) {
+    const processor = this.processors[processorIndex];
+    const canvas = document.createElement('canvas');
+    canvas.width = processor.width;
+    canvas.height = processor.height;
+    const ctx = canvas.getContext('2d');
+    
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    this.getSurfaceLayouts().forEach((surface, surfaceIndex) => {
+      if (surface.processor !== processorIndex) return;
+      
+      const hue = (surfaceIndex * 67) % 360;
+      const cabinets = this.getCabinetRects(surface.key);
+      const fontSize = Math.max(10, Math.round(surface.cabinet.resolution.height / 6));
+      
+      cabinets.forEach((cabinet) => {
+        // Checkerboard so neighbouring cabinets are easy to tell apart
+        const lightness = (cabinet.column + cabinet.row) % 2 === 0 ? 30 : 22;
+        ctx.fillStyle = `hsl(${hue}, 70%, ${lightness}%)`;
+        ctx.fillRect(cabinet.x, cabinet.y, cabinet.width, cabinet.height);
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(cabinet.x + 0.5, cabinet.y + 0.5, cabinet.width - 1, cabinet.height - 1);
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(cabinet.number), cabinet.x + cabinet.width / 2, cabinet.y + cabinet.height / 2);
+      });
+      
+      // Surface outline and label
+      const { width, height } = this.getSurfaceResolution(surface.key);
+      ctx.strokeStyle = `hsl(${hue}, 90%, 65%)`;
+      ctx.lineWidth = 4;
+      ctx.strokeRect(surface.x + 2, surface.y + 2, width - 4, height - 4);
+      
+      const labelSize = Math.max(16, Math.round(Math.min(width, height) / 12));
+      ctx.fillStyle = '#ffffff';
+      ctx.font = `${labelSize}px sans-serif`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`${surface.key} • ${width} × ${height}px`, surface.x + labelSize / 2, surface.y + labelSize / 2);
+    });
+    
+    return canvas;
+  }
+  
+  toJSON() {
+    return {
+      cabinets: this.cabinets,
+      processors: this.processors.map((processor, index) => ({ index, ...processor })),
+      surfaces: this.getSurfaceLayouts().map(surface => ({
+        name: surface.key,
+        cabinet: surface.cabinetType,
+        columns: surface.columns,
+        rows: surface.rows,
+        physicalSize: this.getSurfaceSize(surface.key),
+        resolution: this.getSurfaceResolution(surface.key),
+        processor: surface.processor,
+        x: surface.x,
+        y: surface.y,
+        cabinetRects: this.getCabinetRects(surface.key)
+      }))
+    };
+  }
+}
+
+// Seam overlay texture: cabinet outlines for a columns x rows grid
+function createCabinetSeamTexture(columns, rows) {
+  const cellSize = Math.max(16, Math.min(64, Math.floor(4096 / Math.max(columns, rows))));
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * cellSize;
+  canvas.height = rows * cellSize;
+  
+  const ctx = canvas.getContext('2d');
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.lineWidth = 2;
+  for (let column = 0; column < columns; column++) {
+    for (let row = 0; row < rows; row++) {
+      ctx.strokeRect(column * cellSize + 1, row * cellSize + 1, cellSize - 2, cellSize - 2);
+    }
+  }
+  
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.flipY = false;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.anisotropy = 8;
+  return texture;
+}
+
+// Parameters of a generated LED volume; lengths in metres, angles in degrees
+function createDefaultVolumeParameters() {
+  return {
+    name: 'Custom Volume',
+    cabinet: { width: 0.5, height: 0.5, pixelPitch: 2.6 },
+    wall: { radius: 12, arcAngle: 105, height: 6 },
+    ceiling: { enabled: true, width: 7, depth: 6, height: 6, tilt: 0 }, // Tilt lowers the back edge
+    totems: [] // [{ width, height, x, z, rotation }]; totems face the stage centre, rotation turns them further
+  };
+}
+
+function createDefaultTotem() {
+  return { width: 3, height: 3, x: 9, z: 2, rotation: 0 };
+}
+
+// LEDVolumeBuilder Class - Generates LED volume geometry and layout from parameters
+// Surfaces are named and mapped like the shipped studios: the wall spans the content canvas with v = 0 at
+// its top edge, and the ceiling and totems show the part of the canvas above and behind them.
+class LEDVolumeBuilder {
+  constructor(parameters) {
+    this.parameters = parameters;
+    
+    const { cabinet, wall, ceiling } = parameters;
+    this.cabinet = {
+      width: Math.max(0.1, cabinet.width),
+      height: Math.max(0.1, cabinet.height),
+      pixelPitch: Math.max(0.5, cabinet.pixelPitch)
+    };
+    
+    // Sizes snap to whole cabinets; the arc is limited to a full circle
+    const radius = Math.max(1, wall.radius);
+    const maxColumns = Math.max(1, Math.floor(2 * Math.PI * radius / this.cabinet.width));
+    this.wall = {
+      radius,
+      columns: Math.min(maxColumns, this.snapToCabinets(radius * THREE.MathUtils.degToRad(wall.arcAngle), this.cabinet.width)),
+      rows: this.snapToCabinets(wall.height, this.cabinet.height)
+    };
+    this.wall.width = this.wall.columns * this.cabinet.width;
+    this.wall.height = this.wall.rows * this.cabinet.height;
+    this.wall.arc = this.wall.width / radius;
+    
+    this.ceiling = ceiling && ceiling.enabled ? {
+      columns: this.snapToCabinets(ceiling.width, this.cabinet.width),
+      rows: this.snapToCabinets(ceiling.depth, this.cabinet.height),
+      height: ceiling.height,
+      tilt: THREE.MathUtils.degToRad(ceiling.tilt || 0)
+    } : null;
+    if (this.ceiling) {
+      this.ceiling.width = this.ceiling.columns * this.cabinet.width;
+      this.ceiling.depth = this.ceiling.rows * this.cabinet.height;
+    }
+    
+    this.totems = (parameters.totems || []).map((totem) => {
+      const columns = this.snapToCabinets(totem.width, this.cabinet.width);
+      const rows = this.snapToCabinets(totem.height, this.cabinet.height);
+      return {
+        columns,
+        rows,
+        width: columns * this.cabinet.width,
+        height: rows * this.cabinet.height,
+        x: totem.x,
+        z: totem.z,
+        rotation: THREE.MathUtils.degToRad(totem.rotation || 0)
+      };
+    });
+  }
+  
+  snapToCabinets(length, cabinetSize) {
+    return Math.max(1, Math.round(length / cabinetSize));
+  }
+  
+  getCabinetResolution() {
+    return {
+      width: Math.round(this.cabinet.width * 1000 / this.cabinet.pixelPitch),
+      height: Math.round(this.cabinet.height * 1000 / this.cabinet.pixelPitch)
+    };
+  }
+  
+  getWallSize() {
+    return { width: Math.round(this.wall.width * 100) / 100, height: Math.round(this.wall.height * 100) / 100 };
+  }
+  
+  getWallResolution() {
+    const resolution = this.getCabinetResolution();
+    return { width: this.wall.columns * resolution.width, height: this.wall.rows * resolution.height };
+  }
+  
+  getCanvasAspect() {
+    return this.wall.width / this.wall.height;
+  }
+  
+  // Surfaces by node name, with their cabinet grid
+  getSurfaces() {
+    const surfaces = [{ name: 'LED Curve', columns: this.wall.columns, rows: this.wall.rows }];
+    if (this.ceiling) {
+      surfaces.push({ name: 'LED Ceiling', columns: this.ceiling.columns, rows: this.ceiling.rows });
+    }
+    this.totems.forEach((totem, index) => {
+      surfaces.push({ name: `LED Totem ${index + 1}`, columns: totem.columns, rows: totem.rows });
+    });
+    return surfaces;
+  }
+  
+  // LEDLayout definition: the wall on one processor, ceiling and totems side by side on a second
+  getLayoutDefinition() {
+    const resolution = this.getCabinetResolution();
+    const wallResolution = this.getWallResolution();
+    const layout = {
+      cabinets: {
+        wall: {
+          name: `${this.cabinet.pixelPitch}mm ${Math.round(this.cabinet.width * 1000)}×${Math.round(this.cabinet.height * 1000)}`,
+          ...this.cabinet,
+          resolution
+        }
+      },
+      processors: [{ name: 'Processor A', ...wallResolution }],
+      surfaces: {}
+    };
+    
+    let x = 0;
+    let height = 0;
+    this.getSurfaces().forEach((surface, index) => {
+      const isWall = index === 0;
+      layout.surfaces[surface.name] = {
+        cabinet: 'wall',
+        columns: surface.columns,
+        rows: surface.rows,
+        processor: isWall ? 0 : 1,
+        x: isWall ? 0 : x,
+        y: 0
+      };
+      if (!isWall) {
+        x += surface.columns * resolution.width;
+        height = Math.max(height, surface.rows * resolution.height);
+      }
+    });
+    
+    if (x > 0) {
+      layout.processors.push({ name: 'Processor B', width: x, height });
+    }
+    return layout;
+  }
+  
+  // One-line description of what the parameters produce
+  getSummary() {
+    const { width, height } = this.getWallSize();
+    const resolution = this.getWallResolution();
+    const parts = [`Wall ${width} × ${height} m (${this.wall.columns} × ${this.wall.rows} cabinets, ${resolution.width} × ${resolution.height}px, ${THREE.MathUtils.radToDeg(this.wall.arc).toFixed(1)}°)`];
+    if (this.ceiling) {
+      parts.push(`Ceiling ${this.ceiling.width} × ${this.ceiling.depth} m`);
+    }
+    if (this.totems.length > 0) {
+      parts.push(`${this.totems.length} totem${this.totems.length === 1 ? '' : 's'}`);
+    }
+    return parts.join(' • ');
+  }
+  
+  // Scene graph laid out like a loaded studio glTF: one node per LED surface plus a floor
+  build() {
+    const group = new THREE.Group();
+    group.name = this.parameters.name;
+    
+    const screenMaterial = new THREE.MeshStandardMaterial({
+      name: DEFAULT_SCREEN_MATERIALS[0],
+      color: 0xffffff,
+      emissive: 0xffffff,
+      emissiveIntensity: 1,
+      roughness: 0.5,
+      metalness: 0,
+      side: THREE.DoubleSide
+    });
+    
+    group.add(this.createSurfaceMesh('LED Curve', this.createWallGeometry(), screenMaterial));
+    if (this.ceiling) {
+      group.add(this.createSurfaceMesh('LED Ceiling', this.createCeilingGeometry(), screenMaterial));
+    }
+    this.totems.forEach((totem, index) => {
+      group.add(this.createSurfaceMesh(`LED Totem ${index + 1}`, this.createTotemGeometry(totem), screenMaterial));
+    });
+    
+    const floorSize = Math.ceil(this.wall.radius * 2 + 10);
+    const floor = new THREE.Mesh(
+      new THREE.PlaneGeometry(floorSize, floorSize).rotateX(-Math.PI / 2),
+      new THREE.MeshStandardMaterial({ name: 'Plastic_black', color: 0x050505, roughness: 0.9, metalness: 0 })
+    );
+    floor.name = 'Floor';
+    group.add(floor);
+    
+    return group;
+  }
+  
+  createSurfaceMesh(name, geometry, material) {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    return mesh;
+  }
+  
+  // Point on the wall circle; the circle is centred on the origin and the wall's middle lies on +z
+  getWallPoint(angle, y) {
+    return new THREE.Vector3(-this.wall.radius * Math.sin(angle), y, this.wall.radius * Math.cos(angle));
+  }
+  
+  // Horizontal canvas position (0-1) of a direction seen from the stage centre
+  getWallU(x, z) {
+    return 0.5 + Math.atan2(-x, z) / this.wall.arc;
+  }
+  
+  // Flat facet per cabinet column, u running from the +x end of the arc
+  createWallGeometry() {
+    const quads = [];
+    const { columns, height } = this.wall;
+    const step = this.wall.arc / columns;
+    
+    for (let column = 0; column < columns; column++) {
+      const start = -this.wall.arc / 2 + column * step;
+      const end = start + step;
+      const middle = start + step / 2;
+      const u0 = column / columns;
+      const u1 = (column + 1) / columns;
+      
+      quads.push({
+        corners: [this.getWallPoint(start, 0), this.getWallPoint(end, 0), this.getWallPoint(end, height), this.getWallPoint(start, height)],
+        uvs: [[u0, 1], [u1, 1], [u1, 0], [u0, 0]],
+        normal: new THREE.Vector3(Math.sin(middle), 0, -Math.cos(middle))
+      });
+    }
+    
+    return this.createQuadGeometry(quads);
+  }
+  
+  // Rectangle hanging from the wall's top edge back over the stage, showing the canvas centre
+  createCeilingGeometry() {
+    const { width, depth, height, tilt } = this.ceiling;
+    const halfWidth = Math.min(width / 2, this.wall.radius);
+    const front = Math.sqrt(Math.max(this.wall.radius * this.wall.radius - halfWidth * halfWidth, 0));
+    const back = new THREE.Vector3(0, -Math.sin(tilt) * depth, -Math.cos(tilt) * depth);
+    
+    const frontLeft = new THREE.Vector3(width / 2, height, front);
+    const frontRight = new THREE.Vector3(-width / 2, height, front);
+    const uWidth = Math.min(1, width / this.wall.width);
+    const u0 = 0.5 - uWidth / 2;
+    const u1 = 0.5 + uWidth / 2;
+    
+    return this.createQuadGeometry([{
+      corners: [frontLeft, frontRight, frontRight.clone().add(back), frontLeft.clone().add(back)],
+      uvs: [[u0, 1], [u1, 1], [u1, 0], [u0, 0]],
+      normal: new THREE.Vector3(0, -Math.cos(tilt), Math.sin(tilt))
+    }]);
+  }
+  
+  // Free-standing panel on the floor; shows the lower part of the canvas in the direction it stands
+  createTotemGeometry(totem) {
+    const facing = new THREE.Vector3(-totem.x, 0, -totem.z);
+    if (facing.lengthSq() < 1e-6) {
+      facing.set(0, 0, -1);
+    }
+    facing.normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), totem.rotation);
+    
+    // Viewer's right when looking at the totem's front
+    const right = facing.clone().negate().cross(new THREE.Vector3(0, 1, 0)).multiplyScalar(totem.width / 2);
+    const base = new THREE.Vector3(totem.x, 0, totem.z);
+    const up = new THREE.Vector3(0, totem.height, 0);
+    
+    const uWidth = Math.min(1, totem.width / this.wall.width);
+    const center = THREE.MathUtils.clamp(this.getWallU(totem.x, totem.z), uWidth / 2, 1 - uWidth / 2);
+    const u0 = center - uWidth / 2;
+    const u1 = center + uWidth / 2;
+    const vTop = Math.max(0, 1 - totem.height / this.wall.height);
+    
+    return this.createQuadGeometry([{
+      corners: [base.clone().sub(right), base.clone().add(right), base.clone().add(right).add(up), base.clone().sub(right).add(up)],
+      uvs: [[u0, 1], [u1, 1], [u1, vTop], [u0, vTop]],
+      normal: facing
+    }]);
+  }
+  
+  // Quads given bottom-left, bottom-right, top-right, top-left as seen from the front
+  createQuadGeometry(quads) {
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    
+    quads.forEach(({ corners, uvs: cornerUVs, normal }) => {
+      [0, 1, 2, 0, 2, 3].forEach((index) => {
+        positions.push(corners[index].x, corners[index].y, corners[index].z);
+        normals.push(normal.x, normal.y, normal.z);
+        uvs.push(cornerUVs[index][0], cornerUVs[index][1]);
+      });
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.computeBoundingSphere();
+    return geometry;
+  }
+}
+
+// Read a fetch response body, reporting bytes received to a loading job
+async function readResponseWithProgress(response, job = null) {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body || !job) {
+    return response.arrayBuffer();
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    job.setProgress(loaded, total);
+  }
+  
+  const buffer = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    buffer.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return buffer.buffer;
+}
+
+// Load a glTF with fetch rather than GLTFLoader.load, so the download can be cancelled through the job
+async function loadGLTF(url, job = null, manager = THREE.DefaultLoadingManager) {
+  const response = await fetch(url, { signal: job ? job.signal : undefined });
+  if (!response.ok) {
+    throw new Error(`${url.split('/').pop()} responded with HTTP ${response.status}`);
+  }
+  
+  const buffer = await readResponseWithProgress(response, job);
+  const gltf = await new Promise((resolve, reject) => {
+    new GLTFLoader(manager).parse(buffer, THREE.LoaderUtils.extractUrlBase(url), resolve, reject);
+  });
+  
+  // Buffers and textures referenced by the file can't be aborted, so a cancel during parsing drops the result
+  if (job) job.throwIfCancelled();
+  return gltf;
+}
+
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+// How long a loading error stays on screen unless dismissed
+const LOADING_ERROR_DURATION = 10000;
+
+// AssetLoader Class - Runs asset loads as cancellable jobs with a shared progress overlay
+// Jobs in the same queue run one after another; a superseding job cancels the ones queued before it.
+class AssetLoader {
+  constructor() {
+    this.jobs = new Map(); // id -> job
+    this.queues = new Map(); // queue name -> settled promise of its last job
+    this.container = document.getElementById('progress-container');
+    this.list = document.getElementById('progress-list');
+    
+    this.list.addEventListener('click', (e) => {
+      const cancelButton = e.target.closest('[data-cancel]');
+      if (cancelButton) {
+        this.cancel(cancelButton.dataset.cancel);
+      }
+      
+      const dismissButton = e.target.closest('[data-dismiss]');
+      if (dismissButton) {
+        dismissButton.closest('.loading-item').remove();
+        this.updateVisibility();
+      }
+    });
+    
+    this.updateVisibility();
+  }
+  
+  // Run task(job) as a job; the task gets job.signal for fetches and reports job.setProgress(loaded, total)
+  load(label, task, { queue = null, supersede = false } = {}) {
+    if (queue && supersede) {
+      this.cancelAll(queue);
+    }
+    
+    const controller = new AbortController();
+    const job = {
+      id: generateUniqueId(),
+      label,
+      queue,
+      signal: controller.signal,
+      controller,
+      loaded: 0,
+      total: 0,
+      isStarted: false,
+      setProgress: (loaded, total) => {
+        job.loaded = loaded;
+        job.total = total;
+        this.renderJob(job);
+      },
+      throwIfCancelled: () => controller.signal.throwIfAborted()
+    };
+    
+    this.jobs.set(job.id, job);
+    this.renderJob(job);
+    
+    const previous = (queue && this.queues.get(queue)) || Promise.resolve();
+    const run = previous.then(async () => {
+      job.throwIfCancelled();
+      job.isStarted = true;
+      this.renderJob(job);
+      return task(job);
+    }).finally(() => {
+      this.jobs.delete(job.id);
+      this.removeJobElement(job);
+    });
+    
+    if (queue) {
+      this.queues.set(queue, run.catch(() => {}));
+    }
+    return run;
+  }
+  
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (job && !job.signal.aborted) {
+      job.controller.abort();
+      console.log('Loading cancelled:', job.label);
+    }
+  }
+  
+  hasJobs(queue = null) {
+    return Array.from(this.jobs.values()).some(job => !queue || job.queue === queue);
+  }
+  
+  cancelAll(queue = null) {
+    this.jobs.forEach((job) => {
+      if (!queue || job.queue === queue) this.cancel(job.id);
+    });
+  }
+  
+  getJobElement(job) {
+    let element = this.list.querySelector(`[data-job="${job.id}"]`);
+    if (!element) {
+      element = document.createElement('div');
+      element.className = 'loading-item';
+      element.dataset.job = job.id;
+      element.innerHTML = `
+        <div class="loading-row">
+          <span class="loading-label"></span>
+          <button class="loading-cancel" data-cancel="${job.id}" title="Cancel"><i data-lucide="x"></i></button>
+        </div>
+        <div class="loading-bar"><span></span></div>
+        <div class="loading-detail"></div>`;
+      element.querySelector('.loading-label').textContent = job.label;
+      this.list.appendChild(element);
+      
+      if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+      }
+    }
+    return element;
+  }
+  
+  renderJob(job) {
+    const element = this.getJobElement(job);
+    const bar = element.querySelector('.loading-bar');
+    const megabytes = (job.loaded / (1024 * 1024)).toFixed(1);
+    
+    let detail = 'Loading...';
+    if (!job.isStarted) {
+      detail = 'Waiting...';
+    } else if (job.total > 0) {
+      detail = `${Math.round(job.loaded / job.total * 100)}% • ${megabytes} of ${(job.total / (1024 * 1024)).toFixed(1)} MB`;
+    } else if (job.loaded > 0) {
+      detail = `${megabytes} MB`;
+    }
+    
+    // Without a known size the bar just shows activity
+    bar.classList.toggle('indeterminate', job.isStarted && job.total === 0);
+    bar.firstElementChild.style.width = job.total > 0 ? `${Math.min(100, job.loaded / job.total * 100)}%` : '0%';
+    element.querySelector('.loading-detail').textContent = detail;
+    this.updateVisibility();
+  }
+  
+  removeJobElement(job) {
+    const element = this.list.querySelector(`[data-job="${job.id}"]`);
+    if (element) element.remove();
+    this.updateVisibility();
+  }
+  
+  // Show a failed load to the user; cancellations are not errors
+  reportError(message, error) {
+    if (isAbortError(error)) return;
+    console.error(message, error);
+    
+    const element = document.createElement('div');
+    element.className = 'loading-item error';
+    element.innerHTML = `
+      <div class="loading-row">
+        <span class="loading-label"></span>
+        <button class="loading-cancel" data-dismiss title="Dismiss"><i data-lucide="x"></i></button>
+      </div>
+      <div class="loading-detail"></div>`;
+    element.querySelector('.loading-label').textContent = message;
+    element.querySelector('.loading-detail').textContent = error ? error.message || String(error) : '';
+    this.list.appendChild(element);
+    
+    if (typeof lucide !== 'undefined') {
+      lucide.createIcons();
+    }
+    this.updateVisibility();
+    
+    setTimeout(() => {
+      element.remove();
+      this.updateVisibility();
+    }, LOADING_ERROR_DURATION);
+  }
+  
+  updateVisibility() {
+    this.container.style.display = this.list.children.length > 0 ? 'block' : 'none';
+  }
+}
+
+// Cache shared with the service worker (sw.js); assets made available offline are served from it first
+const OFFLINE_ASSET_CACHE = 'led-stage-assets';
+
+// OfflineCache Class - Registers the service worker and keeps chosen studios and props in the Cache API
+class OfflineCache {
+  constructor() {
+    this.isSupported = 'caches' in window && 'serviceWorker' in navigator;
+  }
+  
+  async registerServiceWorker() {
+    if (!this.isSupported) {
+      console.warn('Service workers are not available; the app needs a connection');
+      return;
+    }
+    
+    try {
+      await navigator.serviceWorker.register('./sw.js');
+      console.log('Service worker registered');
+    } catch (error) {
+      console.warn('Service worker registration failed:', error);
+    }
+  }
+  
+  // A glTF plus the buffers and images it references by path
+  async getGLTFAssetURLs(gltfPath) {
+    const urls = [gltfPath];
+    if (!/\.gltf$/i.test(gltfPath)) {
+      return urls;
+    }
+    
+    const response = await fetch(gltfPath);
+    if (!response.ok) {
+      throw new Error(`${gltfPath.split('/').pop()} responded with HTTP ${response.status}`);
+    }
+    const json = await response.json();
+    const basePath = THREE.LoaderUtils.extractUrlBase(gltfPath);
+    [...(json.buffers || []), ...(json.images || [])].forEach(({ uri }) => {
+      if (uri && !uri.startsWith('data:')) {
+        urls.push(THREE.LoaderUtils.resolveURL(uri, basePath));
+      }
+    });
+    return urls;
+  }
+  
+  async getStudioAssetURLs(studio) {
+    const urls = await this.getGLTFAssetURLs(studio.gltfPath);
+    return studio.thumbnailPath ? [...urls, studio.thumbnailPath] : urls;
+  }
+  
+  getPropAssetURLs(prop) {
+    return [prop.glbPath, prop.thumbnailPath].filter(Boolean);
+  }
+  
+  // Whether an item's main file is cached; its other files are added and removed along with it
+  async isCached(url) {
+    if (!this.isSupported) return false;
+    const cache = await caches.open(OFFLINE_ASSET_CACHE);
+    return Boolean(await cache.match(url));
+  }
+  
+  async addToCache(urls, job) {
+    // Ask the browser not to evict the cache under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist();
+    }
+    
+    const cache = await caches.open(OFFLINE_ASSET_CACHE);
+    const added = []; // Only what this call stored is undone on failure; other items may share the rest
+    let loaded = 0;
+    
+    try {
+      for (const [index, url] of urls.entries()) {
+        if (await cache.match(url)) continue;
+        
+        const response = await fetch(url, { signal: job.signal });
+        if (!response.ok) {
+          // Referenced files missing from the server (e.g. unused textures) shouldn't stop the rest
+          if (index === 0) throw new Error(`${url.split('/').pop()} responded with HTTP ${response.status}`);
+          console.warn('Skipping missing offline asset:', url, response.status);
+          continue;
+        }
+        
+        const buffer = await readResponseWithProgress(response, { setProgress: bytes => job.setProgress(loaded + bytes, 0) });
+        await cache.put(url, new Response(buffer, { headers: response.headers }));
+        added.push(url);
+        loaded += buffer.byteLength;
+      }
+    } catch (error) {
+      await this.removeFromCache(added);
+      throw error;
+    }
+    
+    console.log('Available offline:', urls);
+  }
+  
+  async removeFromCache(urls) {
+    const cache = await caches.open(OFFLINE_ASSET_CACHE);
+    await Promise.all(urls.map(url => cache.delete(url)));
+    console.log('Removed from offline cache:', urls);
+  }
+}
+
+// Material given to meshes picked as LED surfaces in an imported studio
+const IMPORTED_SCREEN_MATERIAL = 'LED Screen (imported)';
+
+// Load a glTF from local files; a .gltf's buffers and images are matched to the other files by name
+async function loadGLTFFromFiles(files, job = null) {
+  const mainFile = files.find(file => /\.(gltf|glb)$/i.test(file.name));
+  if (!mainFile) {
+    throw new Error('No .gltf or .glb file selected');
+  }
+  
+  const urls = new Map(files.map(file => [file.name, URL.createObjectURL(file)]));
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier(url => urls.get(decodeURIComponent(url.split('/').pop())) || url);
+  
+  try {
+    return await loadGLTF(urls.get(mainFile.name), job, manager);
+  } finally {
+    urls.forEach(url => URL.revokeObjectURL(url));
+  }
+}
+
+// LEDStudioManager Class - Manages different LED studio environments
+class LEDStudioManager {
+  constructor(scene, assetLoader) {
+    this.scene = scene;
+    this.assetLoader = assetLoader;
+    this.studioPath = 'public/LED_Studio/';
+    this.manifestPath = `${this.studioPath}studios.json`;
+    this.availableStudios = [];
+    this.currentStudio = null;
+    this.currentStudioMesh = null;
+    this.isLoaded = false;
+  }
+  
+  async loadAvailableStudios() {
+    this.availableStudios = [];
+    
+    try {
+      // Studios are described in the manifest; adding one means adding its folder and an entry
+      const response = await fetch(this.manifestPath);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const manifest = await response.json();
+      
+      for (const studio of manifest.studios || []) {
+        const studioData = await this.loadStudioData(studio);
+        if (studioData) {
+          this.availableStudios.push(studioData);
+        }
+      }
+    } catch (error) {
+      this.assetLoader.reportError('Could not load the studio list', error);
+    }
+    
+    // Studios imported in earlier sessions
+    try {
+      const records = await runLibraryTransaction('studios', 'readonly', store => store.getAll());
+      records.sort((a, b) => a.savedAt - b.savedAt).forEach(record => this.availableStudios.push(this.createCustomStudio(record)));
+    } catch (error) {
+      console.warn('Could not read saved studios:', error);
+    }
+    
+    this.isLoaded = true;
+    console.log('LED Studios loaded:', this.availableStudios);
+    return this.availableStudios;
+  }
+  
+  createCustomStudio(record) {
+    if (record.volume) {
+      return this.createGeneratedStudio(record);
+    }
+    
+    return {
+      name: record.name,
+      displayName: record.displayName,
+      gltfPath: null,
+      files: record.files,
+      folderPath: null,
+      screenMaterials: record.screenMaterials,
+      screenMeshes: record.screenMeshes,
+      canvasAspect: record.canvasAspect || DEFAULT_CANVAS_ASPECT,
+      dimensions: null,
+      pixelPitch: record.pixelPitch || null,
+      thumbnailPath: null,
+      isDefault: false,
+      isCustom: true,
+      processorResolution: null,
+      layout: null
+    };
+  }
+  
+  // Studio built from volume parameters; its specs and layout follow from the geometry
+  createGeneratedStudio(record) {
+    const builder = new LEDVolumeBuilder(record.volume);
+    return {
+      name: record.name,
+      displayName: record.displayName,
+      gltfPath: null,
+      volume: record.volume,
+      folderPath: null,
+      screenMaterials: DEFAULT_SCREEN_MATERIALS,
+      screenMeshes: [],
+      canvasAspect: builder.getCanvasAspect(),
+      dimensions: builder.getWallSize(),
+      pixelPitch: builder.cabinet.pixelPitch,
+      thumbnailPath: null,
+      isDefault: false,
+      isCustom: true,
+      processorResolution: builder.getWallResolution(),
+      layout: this.createLayout({ name: record.name, ledLayout: builder.getLayoutDefinition() })
+    };
+  }
+  
+  // Materials and meshes of a local glTF, for picking its LED surfaces
+  async inspectStudioFiles(files, job = null) {
+    const gltf = await loadGLTFFromFiles(files, job);
+    const materials = new Map(); // name -> mesh count
+    const meshes = [];
+    
+    gltf.scene.traverse((child) => {
+      if (!child.isMesh) return;
+      const childMaterials = Array.isArray(child.material) ? child.material : [child.material];
+      childMaterials.forEach(material => materials.set(material.name, (materials.get(material.name) || 0) + 1));
+      meshes.push({ name: child.name, materials: childMaterials.map(material => material.name) });
+    });
+    
+    this.disposeStudioMesh(gltf.scene);
+    
+    return {
+      materials: Array.from(materials, ([name, meshCount]) => ({ name, meshCount })),
+      meshes
+    };
+  }
+  
+  // Add an imported studio to the list and keep it for later sessions
+  async addCustomStudio(files, options) {
+    const meshMaterials = options.screenMeshes.length > 0 ? [IMPORTED_SCREEN_MATERIAL] : [];
+    const record = {
+      name: `custom-${generateUniqueId()}`,
+      displayName: options.displayName,
+      files,
+      screenMaterials: [...options.screenMaterials, ...meshMaterials],
+      screenMeshes: options.screenMeshes,
+      canvasAspect: options.canvasAspect,
+      pixelPitch: options.pixelPitch,
+      savedAt: Date.now()
+    };
+    
+    try {
+      await runLibraryTransaction('studios', 'readwrite', store => store.put(record));
+    } catch (error) {
+      console.warn('Could not save imported studio; it is only available this session:', error);
+    }
+    
+    const studio = this.createCustomStudio(record);
+    this.availableStudios.push(studio);
+    console.log('Custom studio added:', studio.displayName);
+    return studio;
+  }
+  
+  // Add a studio generated from volume parameters and keep it for later sessions
+  async addGeneratedStudio(parameters) {
+    const record = {
+      name: `volume-${generateUniqueId()}`,
+      displayName: parameters.name,
+      volume: parameters,
+      savedAt: Date.now()
+    };
+    
+    try {
+      await runLibraryTransaction('studios', 'readwrite', store => store.put(record));
+    } catch (error) {
+      console.warn('Could not save generated studio; it is only available this session:', error);
+    }
+    
+    const studio = this.createCustomStudio(record);
+    this.availableStudios.push(studio);
+    console.log('Generated studio added:', studio.displayName);
+    return studio;
+  }
+  
+  async removeCustomStudio(name) {
+    await runLibraryTransaction('studios', 'readwrite', store => store.delete(name));
+    this.availableStudios = this.availableStudios.filter(studio => studio.name !== name);
+  }
+  
+  async loadStudioData(studioInfo) {
+    try {
+      const folderPath = `${this.studioPath}${studioInfo.folder || studioInfo.name}/`;
+      const studioPath = `${folderPath}${studioInfo.gltf}`;
+      
+      // Check if studio file exists
+      const exists = await this.checkFileExists(studioPath);
+      
+      if (exists) {
+        return {
+          name: studioInfo.name,
+          displayName: studioInfo.displayName || studioInfo.name,
+          gltfPath: studioPath,
+          folderPath,
+          screenMaterials: [...(studioInfo.screenMaterials || DEFAULT_SCREEN_MATERIALS), ...(studioInfo.screenMeshes ? [IMPORTED_SCREEN_MATERIAL] : [])],
+          screenMeshes: studioInfo.screenMeshes || [],
+          canvasAspect: parseAspectRatio(studioInfo.canvasAspect) || DEFAULT_CANVAS_ASPECT,
+          dimensions: studioInfo.dimensions || null,
+          pixelPitch: studioInfo.pixelPitch || null,
+          thumbnailPath: studioInfo.thumbnail ? `${folderPath}${studioInfo.thumbnail}` : null,
+          isDefault: Boolean(studioInfo.default),
+          processorResolution: studioInfo.processorResolution || null,
+          layout: studioInfo.ledLayout ? this.createLayout(studioInfo) : null
+        };
+      }
+      
+      console.warn(`Studio ${studioInfo.name} is in the manifest but ${studioPath} was not found`);
+      return null;
+      
+    } catch (error) {
+      console.warn(`Could not load studio data for ${studioInfo.name}:`, error);
+      return null;
+    }
+  }
+  
+  createLayout(studioInfo) {
+    const layout = new LEDLayout(studioInfo.ledLayout);
+    
+    const problems = layout.validate();
+    if (problems.length > 0) {
+      console.warn(`LED layout problems in ${studioInfo.name}:`, problems);
+    }
+    
+    return layout;
+  }
+  
+  async checkFileExists(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  getStudios() {
+    return this.availableStudios;
+  }
+  
+  getStudioByName(name) {
+    return this.availableStudios.find(studio => studio.name === name);
+  }
+  
+  // Studio flagged as default in the manifest, else the first one listed
+  getDefaultStudio() {
+    return this.availableStudios.find(studio => studio.isDefault) || this.availableStudios[0] || null;
+  }
+  
+  // One-line summary of a studio's wall for the studio picker
+  getStudioSpecs(studio) {
+    const specs = studio.isCustom ? [studio.volume ? 'Generated' : 'Imported'] : [];
+    if (studio.dimensions) specs.push(`${studio.dimensions.width} × ${studio.dimensions.height} m`);
+    if (studio.pixelPitch) specs.push(`${studio.pixelPitch} mm`);
+    if (studio.processorResolution) specs.push(`${studio.processorResolution.width} × ${studio.processorResolution.height}px`);
+    specs.push(`${studio.canvasAspect.toFixed(2)}:1`);
+    return specs.join(' • ');
+  }
+  
+  isScreenMaterial(material, studio = this.currentStudio) {
+    const screenMaterials = studio ? studio.screenMaterials : DEFAULT_SCREEN_MATERIALS;
+    return screenMaterials.includes(material.name);
+  }
+  
+  getCurrentStudio() {
+    return this.currentStudio;
+  }
+  
+  async switchStudio(studioName, preserveScreenState = true) {
+    const studio = this.getStudioByName(studioName);
+    if (!studio) {
+      this.assetLoader.reportError('Studio not found', new Error(studioName));
+      return false;
+    }
+    
+    console.log('Switching to studio:', studio.displayName);
+    
+    try {
+      // Switches run one at a time and a newer pick cancels an older one still loading, so the last pick wins
+      return await this.assetLoader.load(`Studio: ${studio.displayName}`, async (job) => {
+        const newStudioMesh = await this.loadStudioMesh(studio, job);
+        if (!newStudioMesh) {
+          throw new Error(`Failed to load studio: ${studio.displayName}`);
+        }
+        job.throwIfCancelled();
+        
+        // The current studio stays on stage until its replacement has loaded
+        let screenState = null;
+        if (this.currentStudioMesh) {
+          if (preserveScreenState) {
+            screenState = this.extractScreenState(this.currentStudioMesh);
+          }
+          this.scene.remove(this.currentStudioMesh);
+          this.disposeStudioMesh(this.currentStudioMesh);
+        }
+        
+        // Add to scene
+        this.scene.add(newStudioMesh);
+        this.currentStudioMesh = newStudioMesh;
+        this.currentStudio = studio;
+        
+        // Restore screen state if preserved
+        if (preserveScreenState && screenState) {
+          await this.applyScreenState(newStudioMesh, screenState);
+        }
+        
+        console.log('Successfully switched to studio:', studio.displayName);
+        return { success: true, mesh: newStudioMesh, screenState };
+      }, { queue: 'studio', supersede: true });
+      
+    } catch (error) {
+      this.assetLoader.reportError(`Could not load studio ${studio.displayName}`, error);
+      return false;
+    }
+  }
+  
+  async loadStudioMesh(studio, job = null) {
+    let mesh;
+    if (studio.volume) {
+      mesh = new LEDVolumeBuilder(studio.volume).build();
+    } else {
+      // Imported studios are kept as files rather than served from a folder
+      const gltf = studio.files
+        ? await loadGLTFFromFiles(studio.files, job)
+        : await loadGLTF(studio.gltfPath, job);
+      mesh = gltf.scene;
+    }
+    const screenMaterials = new Map(); // original material -> screen material
+    
+    // Configure mesh
+    mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = false;
+        child.receiveShadow = true;
+        
+        // Meshes picked as LED surfaces get a screen material of their own, leaving meshes that shared it untouched
+        if (studio.screenMeshes && studio.screenMeshes.includes(child.name)) {
+          const material = Array.isArray(child.material) ? child.material[0] : child.material;
+          if (!screenMaterials.has(material)) {
+            const screenMaterial = material.clone();
+            screenMaterial.name = IMPORTED_SCREEN_MATERIAL;
+            screenMaterials.set(material, screenMaterial);
+          }
+          child.material = screenMaterials.get(material);
+        }
+      }
+    });
+    
+    mesh.position.set(0, 0, 0);
+    return mesh;
+  }
+  
+  extractScreenState(studioMesh) {
+    const screenState = {
+      currentTexture: null,
+      emissiveTexture: null,
+      emissiveIntensity: null,
+      baseColorTexture: null,
+      hasCustomTexture: false
+    };
+    
+    // Find the screen material (assuming same material name pattern)
+    studioMesh.traverse((child) => {
+      if (child.isMesh && child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        
+        materials.forEach((material) => {
+          if (this.isScreenMaterial(material)) {
+            screenState.currentTexture = material.map;
+            screenState.emissiveTexture = material.emissiveMap;
+            screenState.emissiveIntensity = material.emissiveIntensity;
+            screenState.baseColorTexture = material.map;
+            
+            // Check if this is a custom texture (not the original studio texture)
+            // We'll identify custom textures by checking if they have a data URL or custom properties
+            if (material.map && (material.map.userData?.isCustomTexture || 
+                material.map.image?.src?.startsWith('data:'))) {
+              screenState.hasCustomTexture = true;
+            }
+          }
+        });
+      }
+    });
+    
+    return screenState;
+  }
+  
+  applyScreenState(newStudioMesh, screenState) {
+    return new Promise((resolve) => {
+      // Find the screen material in new studio
+      newStudioMesh.traverse((child) => {
+        if (child.isMesh && child.material) {
+          const materials = Array.isArray(child.material) ? child.material : [child.material];
+          
+          materials.forEach((material) => {
+            if (this.isScreenMaterial(material)) {
+              // Always apply brightness setting
+              if (screenState.emissiveIntensity !== null && screenState.emissiveIntensity !== undefined) {
+                material.emissiveIntensity = screenState.emissiveIntensity;
+              }
+              
+              // Apply custom texture if one exists
+              if (screenState.hasCustomTexture && screenState.currentTexture) {
+                material.map = screenState.currentTexture;
+                material.emissiveMap = screenState.emissiveTexture;
+                console.log('Applied custom texture to new studio');
+              }
+              
+              material.needsUpdate = true;
+            }
+          });
+        }
+      });
+      
+      resolve();
+    });
+  }
+  
+  disposeStudioMesh(mesh) {
+    mesh.traverse((child) => {
+      if (child.isMesh) {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (Array.isArray(child.material)) {
+            child.material.forEach(material => {
+              // Don't dispose textures that might be reused (screen textures)
+              if (!this.isScreenMaterial(material)) {
+                if (material.map) material.map.dispose();
+                if (material.normalMap) material.normalMap.dispose();
+                if (material.emissiveMap) material.emissiveMap.dispose();
+              }
+              material.dispose();
+            });
+          } else {
+            // Don't dispose textures that might be reused (screen textures)
+            if (!this.isScreenMaterial(child.material)) {
+              if (child.material.map) child.material.map.dispose();
+              if (child.material.normalMap) child.material.normalMap.dispose();
+              if (child.material.emissiveMap) child.material.emissiveMap.dispose();
+            }
+            child.material.dispose();
+          }
+        }
+      }
+    });
+  }
+}
+
+// PropsLibrary Class - Props described in public/props/props.json
+class PropsLibrary {
+  constructor() {
+    this.propsPath = 'public/props/';
+    this.manifestPath = `${this.propsPath}props.json`;
+    this.categories = [];
+    this.availableProps = [];
+    this.isLoaded = false;
+  }
+  
+  // A missing or malformed manifest throws, so the caller can tell the user rather than show an empty library
+  async loadPropsLibrary() {
+    this.categories = [];
+    this.availableProps = [];
+    
+    const response = await fetch(this.manifestPath);
+    if (!response.ok) {
+      throw new Error(`${this.manifestPath} responded with HTTP ${response.status}`);
+    }
+    
+    // Entries are { name, displayName, category, tags, author, file, thumbnail, size, polycount }, paths relative to the manifest
+    const manifest = await response.json();
+    this.categories = manifest.categories || [];
+    this.availableProps = await Promise.all((manifest.props || []).map(entry => this.loadPropData(entry)));
+    
+    this.isLoaded = true;
+    console.log('Props library loaded:', this.availableProps);
+    return this.availableProps;
+  }
+  
+  // Props whose model is missing stay listed, flagged, so the gap gets noticed and fixed
+  async loadPropData(entry) {
+    const glbPath = `${this.propsPath}${entry.file || `${entry.name}/${entry.name}.glb`}`;
+    const isMissing = !(await this.checkFileExists(glbPath));
+    if (isMissing) {
+      console.warn(`Prop ${entry.name} is in the manifest but ${glbPath} was not found`);
+    }
+    
+    return {
+      name: entry.name,
+      displayName: entry.displayName || this.formatDisplayName(entry.name),
+      category: entry.category || '',
+      tags: entry.tags || [],
+      author: entry.author || '',
+      glbPath,
+      thumbnailPath: entry.thumbnail ? `${this.propsPath}${entry.thumbnail}` : null,
+      size: entry.size || null, // Real-world { width, height, depth } in metres
+      polycount: entry.polycount || null,
+      isMissing
+    };
+  }
+  
+  async checkFileExists(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  formatDisplayName(propName) {
+    return propName
+      .split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+  
+  getCategories() {
+    return this.categories;
+  }
+  
+  getCategoryName(id) {
+    const category = this.categories.find(entry => entry.id === id);
+    return category ? category.name : id;
+  }
+  
+  getMissingProps() {
+    return this.availableProps.filter(prop => prop.isMissing);
+  }
+  
+  // One-line summary for the prop browser
+  getPropSpecs(prop) {
+    const specs = [];
+    if (prop.category) specs.push(this.getCategoryName(prop.category));
+    if (prop.size) specs.push(`${prop.size.width} × ${prop.size.height} × ${prop.size.depth} m`);
+    if (prop.polycount) specs.push(`${prop.polycount.toLocaleString()} tris`);
+    if (prop.author) specs.push(prop.author);
+    return specs.join(' • ');
+  }
+  
+  // Props in a category (all when empty) whose name, tags or author contain the query
+  search(query, category = '') {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.availableProps.filter((prop) => {
+      if (category && prop.category !== category) return false;
+      const text = [prop.displayName, prop.category, prop.author, ...prop.tags].join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+  }
+  
+  getProps() {
+    return this.availableProps;
+  }
+  
+  getPropByName(name) {
+    return this.availableProps.find(prop => prop.name === name);
+  }
+}
+
+// Browser storage for content the user adds to the libraries, kept across sessions
+const LIBRARY_DB_NAME = 'led-stage-library';
+const LIBRARY_DB_VERSION = 2;
+const LIBRARY_DB_STORES = ['backgrounds', 'studios'];
+
+let libraryDatabase = null;
+
+function openLibraryDatabase() {
+  if (!libraryDatabase) {
+    libraryDatabase = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        LIBRARY_DB_STORES.forEach((storeName) => {
+          if (!request.result.objectStoreNames.contains(storeName)) {
+            request.result.createObjectStore(storeName, { keyPath: 'name' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return libraryDatabase;
+}
+
+// Run one request against a library store, resolving with its result once the transaction commits
+async function runLibraryTransaction(storeName, mode, operation) {
+  const database = await openLibraryDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Small JPEG of an image, canvas or video frame for library thumbnails
+function createContentThumbnail(source, size = 96) {
+  const { width, height } = getSourceSize(source);
+  if (!width || !height) return null;
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  
+  // Cover the square, like the props thumbnails
+  const scale = Math.max(size / width, size / height);
+  context.drawImage(source, (size - width * scale) / 2, (size - height * scale) / 2, width * scale, height * scale);
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+// Category user uploads are saved under
+const BACKGROUND_UPLOAD_CATEGORY = { id: 'uploads', name: 'My Uploads' };
+
+// BackgroundLibrary Class - LED backgrounds listed in public/backgrounds/manifest.json plus the user's saved uploads
+class BackgroundLibrary {
+  constructor() {
+    this.backgroundsPath = 'public/backgrounds/';
+    this.categories = [];
+    this.availableBackgrounds = [];
+    this.uploads = [];
+    this.isLoaded = false;
+  }
+  
+  async loadBackgroundLibrary() {
+    try {
+      const response = await fetch(`${this.backgroundsPath}manifest.json`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      // Entries are { name, displayName, category, tags, file, thumbnail }, with paths relative to the manifest
+      const manifest = await response.json();
+      this.categories = manifest.categories || [];
+      this.availableBackgrounds = (manifest.backgrounds || []).map(entry => ({
+        name: entry.name,
+        displayName: entry.displayName || entry.name,
+        category: entry.category || '',
+        tags: entry.tags || [],
+        path: `${this.backgroundsPath}${entry.file}`,
+        thumbnailPath: `${this.backgroundsPath}${entry.thumbnail || entry.file}`,
+        isUpload: false
+      }));
+    } catch (error) {
+      console.warn('Could not load background manifest:', error);
+      this.availableBackgrounds = [];
+    }
+    
+    try {
+      const records = await runLibraryTransaction('backgrounds', 'readonly', store => store.getAll());
+      this.uploads = records.sort((a, b) => b.savedAt - a.savedAt).map(record => this.createUploadEntry(record));
+    } catch (error) {
+      console.warn('Could not read saved backgrounds:', error);
+      this.uploads = [];
+    }
+    
+    this.isLoaded = true;
+    console.log('Background library loaded:', this.availableBackgrounds.length, 'library backgrounds,', this.uploads.length, 'uploads');
+    return this.getBackgrounds();
+  }
+  
+  createUploadEntry(record) {
+    return {
+      name: record.name,
+      displayName: record.displayName,
+      category: BACKGROUND_UPLOAD_CATEGORY.id,
+      tags: [],
+      file: record.file,
+      thumbnailPath: record.thumbnail,
+      isUpload: true
+    };
+  }
+  
+  // Keep an uploaded file in the library; uploading the same file again reuses its entry
+  async saveUpload(file, thumbnail) {
+    const existing = this.uploads.find(upload => upload.displayName === file.name && upload.file.size === file.size);
+    if (existing) return existing;
+    
+    const record = {
+      name: `upload-${generateUniqueId()}`,
+      displayName: file.name,
+      file,
+      thumbnail,
+      savedAt: Date.now()
+    };
+    await runLibraryTransaction('backgrounds', 'readwrite', store => store.put(record));
+    
+    const entry = this.createUploadEntry(record);
+    this.uploads.unshift(entry);
+    console.log('Background saved to library:', file.name);
+    return entry;
+  }
+  
+  async removeUpload(name) {
+    await runLibraryTransaction('backgrounds', 'readwrite', store => store.delete(name));
+    this.uploads = this.uploads.filter(upload => upload.name !== name);
+  }
+  
+  // File for a background, fetched from the server for library entries
+  async getBackgroundFile(background) {
+    if (background.isUpload) return background.file;
+    
+    const response = await fetch(background.path);
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${background.path}: HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    return new File([blob], background.path.split('/').pop(), { type: blob.type });
+  }
+  
+  getCategories() {
+    return this.uploads.length > 0 ? [...this.categories, BACKGROUND_UPLOAD_CATEGORY] : this.categories;
+  }
+  
+  getBackgrounds() {
+    return [...this.uploads, ...this.availableBackgrounds];
+  }
+  
+  getBackgroundByName(name) {
+    return this.getBackgrounds().find(background => background.name === name);
+  }
+  
+  // Backgrounds in a category (all when empty) whose name or tags contain the query
+  search(query, category = '') {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.getBackgrounds().filter((background) => {
+      if (category && background.category !== category) return false;
+      const text = [background.displayName, background.category, ...background.tags].join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+  }
+}
+
+// Drag data type for props dragged from the library onto the view
+const PROP_DRAG_TYPE = 'application/x-led-stage-prop';
+
+// Ghost size for dragged files and props without a real-world size, in metres
+const DEFAULT_GHOST_SIZE = { width: 1, height: 1, depth: 1 };
+
+// Main Application Class
+class LEDStageApp {
+  constructor() {
+    // Core Three.js components
+    this.scene = new THREE.Scene();
+    this.renderer = null;
+    this.mainCamera = null;
+    this.controls = null;
+    this.transformControls = null;
+    
+    // Systems
+    this.ledScreen = null;
+    this.assetLoader = new AssetLoader();
+    this.offlineCache = new OfflineCache();
+    this.studioManager = new LEDStudioManager(this.scene, this.assetLoader);
+    this.propsLibrary = new PropsLibrary();
+    this.backgroundLibrary = new BackgroundLibrary();
+    this.cropEditor = new CropEditor();
+    this.studioImportDialog = new StudioImportDialog();
+    this.volumeBuilderDialog = new VolumeBuilderDialog();
+    this.innerFrustum = new InnerFrustum();
+    this.stageLighting = new StageLighting(this.scene);
+    this.motionRecorder = new MotionRecorder();
+    this.cueList = new CueList(this);
+    this.parallaxContent = new ParallaxContent();
+    this.sceneObjects = new Map(); // id -> SceneObject
+    this.cinemaCameras = new Map(); // id -> CinemaCamera
+    this.selectedObject = null; // Can be SceneObject or CinemaCamera
+    this.cameraCounter = 1;
+    
+    // Global LED surface state, persisted across studio changes
+    this.surfaceStates = new Map(); // surface key (or '*' for all surfaces) -> state
+    this.selectedSurfaceKey = 'all';
+    this.videoContents = new Set(); // VideoContent instances in use by surfaces
+    this.shaderContents = new Set(); // ShaderContent instances in use by surfaces
+    this.sequenceContents = new Set(); // SequenceContent instances in use by surfaces
+    this.imageContents = new Set(); // Image, HDR, tiled and test pattern textures in use by surfaces
+    this.shaderEditorContent = null; // Shader last loaded into the editor
+    this.showCabinetSeams = false;
+    
+    // Interaction
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = new THREE.Vector2();
+    this.transformSpace = 'world';
+    this.draggedProp = null; // Library prop being dragged onto the view
+    this.placementGhost = null;
+    
+    // Preview system
+    this.cameraPreviewRenderer = null;
+    this.isFullscreen = false;
+    this.pinnedCamera = null; // Track which camera preview is pinned
+    
+    // Initialize the application
+    this.init();
+  }
+  
+  init() {
+    this.setupRenderer();
+    this.setupCamera();
+    this.setupControls();
+    this.setupLighting();
+    this.setupEventListeners();
+    this.offlineCache.registerServiceWorker();
+    this.initializeStudioDropdown();
+    this.initializeStudioManager();
+    this.initializePropsLibrary();
+    this.initializeCustomDropdown();
+    this.initializeBackgroundLibrary();
+    this.initializeBackgroundDropdown();
+    this.animate();
+  }
+  
+  setupRenderer() {
+    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.renderer.setClearColor(0x000000);
+    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    
+    document.body.appendChild(this.renderer.domElement);
+  }
+  
+  setupCamera() {
+    this.mainCamera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 1, 1000);
+    this.mainCamera.position.set(-10, 7, -15);
+  }
+  
+  setupControls() {
+    this.controls = new OrbitControls(this.mainCamera, this.renderer.domElement);
+    this.controls.enableDamping = true;
+    this.controls.enablePan = false;
+    this.controls.minDistance = 1;
+    this.controls.maxDistance = 30;
+    this.controls.minPolarAngle = -0.5;
+    this.controls.maxPolarAngle = 1.5;
+    this.controls.autoRotate = false;
+    this.controls.target = new THREE.Vector3(0, 2, 0);
+    this.controls.update();
+    
+    // Transform controls
+    this.transformControls = new TransformControls(this.mainCamera, this.renderer.domElement);
+    this.transformControls.addEventListener('dragging-changed', (event) => {
+      this.controls.enabled = !event.value;
+    });
+    this.scene.add(this.transformControls);
+  }
+  
+  setupLighting() {
+    const spotLight = new THREE.SpotLight(0xffffff, 10000, 100, 0.4, 1.2);
+    spotLight.position.set(0, 25, 0);
+    spotLight.castShadow = true;
+    spotLight.shadow.bias = -0.0001;
+    this.scene.add(spotLight);
+    
+    const ambientLight = new THREE.AmbientLight(0xFFFFFF, 0.5);
+    this.scene.add(ambientLight);
+  }
+  
+  setupEventListeners() {
+    this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event), false);
+    window.addEventListener('resize', () => this.onWindowResize(), false);
+    document.addEventListener('keydown', (event) => this.onKeyDown(event), false);
+    
+    // Props and model files dropped on the view are placed on the studio floor
+    this.renderer.domElement.addEventListener('dragover', (event) => this.onPlacementDragOver(event));
+    this.renderer.domElement.addEventListener('dragleave', () => this.hidePlacementGhost());
+    this.renderer.domElement.addEventListener('drop', (event) => this.onPlacementDrop(event));
+  }
+  
+  isPlacementDrag(event) {
+    const types = Array.from(event.dataTransfer.types);
+    return types.includes(PROP_DRAG_TYPE) || types.includes('Files');
+  }
+  
+  // Where a drop lands: the studio floor under the pointer, turned to face the main camera
+  getFloorPlacement(event) {
+    this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+    this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    this.raycaster.setFromCamera(this.mouse, this.mainCamera);
+    
+    const floors = [];
+    if (this.studioManager.currentStudioMesh) {
+      this.studioManager.currentStudioMesh.traverse((child) => {
+        if (child.isMesh && (/floor/i.test(child.name) || /floor/i.test(child.parent.name))) {
+          floors.push(child);
+        }
+      });
+    }
+    
+    // Studios without a floor mesh, or a pointer past its edge, use the ground plane
+    const hit = this.raycaster.intersectObjects(floors, false)[0];
+    const position = hit
+      ? hit.point.clone()
+      : this.raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+    if (!position) return null;
+    
+    const rotationY = Math.atan2(this.mainCamera.position.x - position.x, this.mainCamera.position.z - position.z);
+    return { position, rotationY };
+  }
+  
+  // Translucent box the size of the dragged prop, with an arrow showing which way it will face
+  createPlacementGhost() {
+    const ghost = new THREE.Group();
+    ghost.name = 'Placement Ghost';
+    
+    const body = new THREE.Group();
+    const boxGeometry = new THREE.BoxGeometry(1, 1, 1).translate(0, 0.5, 0);
+    body.add(new THREE.Mesh(boxGeometry, new THREE.MeshBasicMaterial({ color: 0x4a9eff, transparent: true, opacity: 0.2, depthWrite: false })));
+    body.add(new THREE.LineSegments(new THREE.EdgesGeometry(boxGeometry), new THREE.LineBasicMaterial({ color: 0x4a9eff })));
+    ghost.add(body);
+    
+    const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0.02, 0), 1, 0x4a9eff, 0.2, 0.15);
+    ghost.add(arrow);
+    
+    ghost.userData = { body, arrow };
+    ghost.visible = false;
+    this.scene.add(ghost);
+    return ghost;
+  }
+  
+  onPlacementDragOver(event) {
+    if (!this.isPlacementDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    
+    const placement = this.getFloorPlacement(event);
+    if (!placement) {
+      this.hidePlacementGhost();
+      return;
+    }
+    
+    if (!this.placementGhost) {
+      this.placementGhost = this.createPlacementGhost();
+    }
+    
+    const size = (this.draggedProp && this.draggedProp.size) || DEFAULT_GHOST_SIZE;
+    const { body, arrow } = this.placementGhost.userData;
+    body.scale.set(size.width, size.height, size.depth);
+    arrow.position.z = size.depth / 2;
+    
+    this.placementGhost.position.copy(placement.position);
+    this.placementGhost.rotation.y = placement.rotationY;
+    this.placementGhost.visible = true;
+  }
+  
+  hidePlacementGhost() {
+    if (this.placementGhost) {
+      this.placementGhost.visible = false;
+    }
+  }
+  
+  onPlacementDrop(event) {
+    if (!this.isPlacementDrag(event)) return;
+    event.preventDefault();
+    
+    const placement = this.getFloorPlacement(event);
+    this.hidePlacementGhost();
+    this.draggedProp = null;
+    
+    const propName = event.dataTransfer.getData(PROP_DRAG_TYPE);
+    if (propName) {
+      this.loadPropFromLibrary(propName, placement);
+      return;
+    }
+    
+    const files = Array.from(event.dataTransfer.files);
+    const models = files.filter(file => /\.(glb|gltf)$/i.test(file.name));
+    if (models.length === 0) {
+      this.assetLoader.reportError('Only .glb and .gltf models can be dropped into the view', new Error(files.map(file => file.name).join(', ')));
+      return;
     }
     
-    console.log('Switching to studio:', studio.displayName);
-    
+    // A .gltf's buffers and textures have to be dropped along with it; they are matched to it by name
+    const resourceFiles = files.filter(file => !models.includes(file));
+    models.forEach(file => this.loadGLTFModel(file, placement, /\.gltf$/i.test(file.name) ? resourceFiles : []));
+  }
+  
+  // Initialize studio manager and load available studios
+  async initializeStudioManager() {
     try {
-      // Store current screen state if preserving
-      let screenState = null;
-      if (preserveScreenState && this.currentStudioMesh) {
-        screenState = this.extractScreenState(this.currentStudioMesh);
-      }
+      // Load available studios
+      await this.assetLoader.load('Studio list', () => this.studioManager.loadAvailableStudios());
+      await this.updateOfflineStatus(this.studioManager.getStudios(), studio => studio.gltfPath);
       
-      // Remove current studio mesh if exists
-      if (this.currentStudioMesh) {
-        this.scene.remove(this.currentStudioMesh);
-        this.disposeStudioMesh(this.currentStudioMesh);
-      }
+      // Populate studio dropdown
+      this.populateStudioDropdown();
       
-      // Load new studio
-      const newStudioMesh = await this.loadStudioMesh(studio);
-      if (!newStudioMesh) {
-        throw new Error(`Failed to load studio: ${studio.displayName}`);
+      // Load the manifest's default studio
+      const defaultStudio = this.studioManager.getDefaultStudio();
+      const result = defaultStudio ? await this.studioManager.switchStudio(defaultStudio.name, false) : null;
+      
+      if (result && result.success) {
+        // Create LED screen system with the loaded studio mesh
+        const studio = this.studioManager.getCurrentStudio();
+        this.ledScreen = new LEDScreen(result.mesh, studio.screenMaterials, this, studio.canvasAspect);
+        this.populateSurfaceSelector();
+        this.updateCabinetSeams();
+        this.updateLEDLayoutUI();
+        this.stageLighting.setLEDScreen(this.ledScreen, result.mesh);
+        
+        // Update dropdown selection
+        this.setStudioDropdownValue(defaultStudio.name);
+        
+        console.log('Default studio loaded successfully');
       }
       
-      // Add to scene
-      this.scene.add(newStudioMesh);
-      this.currentStudioMesh = newStudioMesh;
-      this.currentStudio = studio;
+    } catch (error) {
+      this.assetLoader.reportError('Error initializing studios', error);
+    }
+  }
+  
+  // Populate the studio dropdown with thumbnails and wall specs
+  populateStudioDropdown() {
+    const dropdownOptions = document.getElementById('studio-dropdown-options');
+    const studios = this.studioManager.getStudios();
+    
+    // Clear existing options
+    dropdownOptions.innerHTML = '';
+    
+    if (studios.length === 0) {
+      dropdownOptions.innerHTML = '<div class="dropdown-option loading" data-value="">No studios available</div>';
+      document.getElementById('studio-dropdown-selected').querySelector('.dropdown-option-text').textContent = 'No studios available';
+      return;
+    }
+    
+    // Add studio options
+    studios.forEach(studio => {
+      const option = document.createElement('div');
+      option.className = 'dropdown-option';
+      option.setAttribute('data-value', studio.name);
+      option.appendChild(this.createStudioThumbnail(studio));
+      
+      const text = document.createElement('div');
+      text.className = 'dropdown-option-text';
+      
+      const name = document.createElement('span');
+      name.textContent = studio.displayName;
+      
+      const specs = document.createElement('span');
+      specs.className = 'dropdown-option-detail';
+      specs.textContent = this.studioManager.getStudioSpecs(studio);
+      
+      text.appendChild(name);
+      text.appendChild(specs);
+      option.appendChild(text);
       
-      // Restore screen state if preserved
-      if (preserveScreenState && screenState) {
-        await this.applyScreenState(newStudioMesh, screenState);
+      // Imported and generated studios live in browser storage, so they are always available offline
+      if (studio.gltfPath && this.offlineCache.isSupported) {
+        option.appendChild(this.createOfflineButton(studio));
       }
       
-      console.log('Successfully switched to studio:', studio.displayName);
-      return { success: true, mesh: newStudioMesh, screenState };
+      if (studio.isCustom) {
+        const removeButton = document.createElement('button');
+        removeButton.className = 'dropdown-option-remove';
+        removeButton.title = studio.volume ? 'Remove Generated Studio' : 'Remove Imported Studio';
+        removeButton.dataset.remove = studio.name;
+        removeButton.innerHTML = '<i data-lucide="x"></i>';
+        option.appendChild(removeButton);
+      }
       
+      dropdownOptions.appendChild(option);
+    });
+    
+    if (typeof lucide !== 'undefined') {
+      lucide.createIcons();
+    }
+    
+    const currentStudio = this.studioManager.getCurrentStudio();
+    if (currentStudio) {
+      this.setStudioDropdownValue(currentStudio.name);
+    }
+    
+    console.log('Studio dropdown populated with', studios.length, 'studios');
+  }
+  
+  // Toggle for keeping a library item's files in the offline cache
+  createOfflineButton(item) {
+    const button = document.createElement('button');
+    button.className = 'dropdown-option-offline';
+    button.classList.toggle('active', Boolean(item.isAvailableOffline));
+    button.title = item.isAvailableOffline ? 'Available Offline (click to remove)' : 'Make Available Offline';
+    button.dataset.offline = item.name;
+    button.innerHTML = '<i data-lucide="download"></i>';
+    return button;
+  }
+  
+  // Mark which studios or props have their files in the offline cache
+  async updateOfflineStatus(items, getMainURL) {
+    await Promise.all(items.map(async (item) => {
+      const url = getMainURL(item);
+      item.isAvailableOffline = url ? await this.offlineCache.isCached(url) : false;
+    }));
+  }
+  
+  // Cache a studio's or prop's files for offline use, or drop them again
+  async toggleAvailableOffline(item, getURLs) {
+    const enable = !item.isAvailableOffline;
+    try {
+      const urls = await getURLs();
+      if (enable) {
+        await this.assetLoader.load(`Offline: ${item.displayName}`, job => this.offlineCache.addToCache(urls, job));
+      } else {
+        await this.offlineCache.removeFromCache(urls);
+      }
+      item.isAvailableOffline = enable;
     } catch (error) {
-      console.error('Error switching studio:', error);
-      return false;
+      const message = enable ? `Could not make ${item.displayName} available offline` : `Could not remove ${item.displayName} from the offline cache`;
+      this.assetLoader.reportError(message, error);
     }
   }
   
-  loadStudioMesh(studio) {
-    return new Promise((resolve, reject) => {
-      const loader = new GLTFLoader();
-      loader.load(studio.gltfPath, (gltf) => {
-        const mesh = gltf.scene;
-        
-        // Configure mesh
-        mesh.traverse((child) => {
-          if (child.isMesh) {
-            child.castShadow = false;
-            child.receiveShadow = true;
-          }
-        });
-        
-        mesh.position.set(0, 0, 0);
-        resolve(mesh);
-        
-      }, (xhr) => {
-        if (xhr.lengthComputable) {
-          const percentComplete = xhr.loaded / xhr.total * 100;
-          console.log(`Loading studio: ${percentComplete.toFixed(1)}%`);
-        }
-      }, (error) => {
-        reject(error);
-      });
+  async toggleStudioOffline(studioName) {
+    const studio = this.studioManager.getStudioByName(studioName);
+    if (!studio) return;
+    await this.toggleAvailableOffline(studio, () => this.offlineCache.getStudioAssetURLs(studio));
+    this.populateStudioDropdown();
+  }
+  
+  async togglePropOffline(propName) {
+    const prop = this.propsLibrary.getPropByName(propName);
+    if (!prop) return;
+    await this.toggleAvailableOffline(prop, async () => this.offlineCache.getPropAssetURLs(prop));
+    this.populatePropsDropdown();
+  }
+  
+  // Studio thumbnail, or a placeholder icon for studios without one
+  createStudioThumbnail(studio) {
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'dropdown-option-thumbnail';
+    if (studio.thumbnailPath) {
+      thumbnail.style.backgroundImage = `url('${studio.thumbnailPath}')`;
+    } else {
+      thumbnail.classList.add('placeholder');
+      thumbnail.innerHTML = '<i data-lucide="monitor"></i>';
+    }
+    return thumbnail;
+  }
+  
+  // Show a studio as the dropdown's selection
+  setStudioDropdownValue(studioName) {
+    const studio = this.studioManager.getStudioByName(studioName);
+    const dropdownSelected = document.getElementById('studio-dropdown-selected');
+    
+    dropdownSelected.querySelector('.dropdown-option-text').textContent = studio ? studio.displayName : 'Select a studio...';
+    document.getElementById('studio-dropdown-options').querySelectorAll('.dropdown-option').forEach(option => {
+      option.classList.toggle('selected', option.getAttribute('data-value') === studioName);
     });
   }
   
-  extractScreenState(studioMesh) {
-    const screenState = {
-      currentTexture: null,
-      emissiveTexture: null,
-      emissiveIntensity: null,
-      baseColorTexture: null,
-      hasCustomTexture: false
+  initializeStudioDropdown() {
+    const dropdown = document.getElementById('studio-custom-dropdown');
+    const dropdownSelected = document.getElementById('studio-dropdown-selected');
+    const dropdownOptions = document.getElementById('studio-dropdown-options');
+    
+    const setOpen = (open) => {
+      dropdownSelected.classList.toggle('open', open);
+      dropdownOptions.classList.toggle('open', open);
     };
     
-    // Find the screen material (assuming same material name pattern)
-    studioMesh.traverse((child) => {
-      if (child.isMesh && child.material) {
-        const materials = Array.isArray(child.material) ? child.material : [child.material];
+    dropdownSelected.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setOpen(!dropdownSelected.classList.contains('open'));
+    });
+    
+    dropdownOptions.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('.dropdown-option-remove');
+      if (removeButton) {
+        e.stopPropagation();
+        this.removeCustomStudio(removeButton.dataset.remove);
+        return;
+      }
+      
+      const offlineButton = e.target.closest('.dropdown-option-offline');
+      if (offlineButton) {
+        e.stopPropagation();
+        this.toggleStudioOffline(offlineButton.dataset.offline);
+        return;
+      }
+      
+      const option = e.target.closest('.dropdown-option');
+      if (option && !option.classList.contains('loading')) {
+        setOpen(false);
+        this.onStudioChange(option.getAttribute('data-value'));
+      }
+    });
+    
+    // Close dropdown when clicking outside
+    document.addEventListener('click', (e) => {
+      if (!dropdown.contains(e.target)) {
+        setOpen(false);
+      }
+    });
+  }
+  
+  // Load a client's studio model and let the user pick its LED surfaces before adding it to the studio list
+  async importStudio(files) {
+    let summary;
+    try {
+      summary = await this.assetLoader.load('Reading studio model', job => this.studioManager.inspectStudioFiles(files, job));
+    } catch (error) {
+      this.assetLoader.reportError('Could not read studio model', error);
+      return;
+    }
+    
+    const mainFile = files.find(file => /\.(gltf|glb)$/i.test(file.name));
+    this.studioImportDialog.open(mainFile.name.replace(/\.[^/.]+$/, ''), summary, async (options) => {
+      const studio = await this.studioManager.addCustomStudio(files, options);
+      this.populateStudioDropdown();
+      this.onStudioChange(studio.name);
+    });
+  }
+  
+  // Build a volume from parameters, starting from the current studio's when it is a generated one
+  openVolumeBuilder() {
+    const currentStudio = this.studioManager.getCurrentStudio();
+    const parameters = currentStudio && currentStudio.volume
+      ? structuredClone(currentStudio.volume)
+      : createDefaultVolumeParameters();
+    
+    this.volumeBuilderDialog.open(parameters, async (volume) => {
+      const studio = await this.studioManager.addGeneratedStudio(volume);
+      this.populateStudioDropdown();
+      this.onStudioChange(studio.name);
+    });
+  }
+  
+  async removeCustomStudio(studioName) {
+    try {
+      await this.studioManager.removeCustomStudio(studioName);
+    } catch (error) {
+      this.assetLoader.reportError('Could not remove studio', error);
+      return;
+    }
+    
+    this.populateStudioDropdown();
+    
+    // Don't leave a studio on stage that can no longer be picked
+    const currentStudio = this.studioManager.getCurrentStudio();
+    const defaultStudio = this.studioManager.getDefaultStudio();
+    if (currentStudio && currentStudio.name === studioName && defaultStudio) {
+      this.onStudioChange(defaultStudio.name);
+    }
+  }
+  
+  // Handle studio change
+  async onStudioChange(studioName) {
+    if (!studioName) return;
+    
+    console.log('Changing studio to:', studioName);
+    
+    try {
+      // Switch studio without preserving screen state (surface state is kept globally)
+      const result = await this.studioManager.switchStudio(studioName, false);
+      
+      if (result && result.success) {
+        // Release the previous studio's surfaces
+        if (this.ledScreen) {
+          this.cueList.finishTransition();
+          this.ledScreen.dispose();
+        }
         
-        materials.forEach((material) => {
-          if (material.name === "M_WhiteScreen") {
-            screenState.currentTexture = material.map;
-            screenState.emissiveTexture = material.emissiveMap;
-            screenState.emissiveIntensity = material.emissiveIntensity;
-            screenState.baseColorTexture = material.map;
-            
-            // Check if this is a custom texture (not the original studio texture)
-            // We'll identify custom textures by checking if they have a data URL or custom properties
-            if (material.map && (material.map.userData?.isCustomTexture || 
-                material.map.image?.src?.startsWith('data:'))) {
-              screenState.hasCustomTexture = true;
-            }
-          }
-        });
+        // Create new LED screen system; it applies the stored surface state itself
+        const studio = this.studioManager.getCurrentStudio();
+        this.ledScreen = new LEDScreen(result.mesh, studio.screenMaterials, this, studio.canvasAspect);
+        this.populateSurfaceSelector();
+        this.updateCabinetSeams();
+        this.updateLEDLayoutUI();
+        this.stageLighting.setLEDScreen(this.ledScreen, result.mesh);
+        
+        console.log('Studio changed successfully to:', studioName);
       }
-    });
+    } catch (error) {
+      this.assetLoader.reportError('Error changing studio', error);
+    }
     
-    return screenState;
+    // A newer pick still loading keeps its own selection
+    if (!this.assetLoader.hasJobs('studio')) {
+      const currentStudio = this.studioManager.getCurrentStudio();
+      this.setStudioDropdownValue(currentStudio ? currentStudio.name : null);
+    }
   }
   
-  applyScreenState(newStudioMesh, screenState) {
-    return new Promise((resolve) => {
-      // Find the screen material in new studio
-      newStudioMesh.traverse((child) => {
-        if (child.isMesh && child.material) {
-          const materials = Array.isArray(child.material) ? child.material : [child.material];
-          
-          materials.forEach((material) => {
-            if (material.name === "M_WhiteScreen") {
-              // Always apply brightness setting
-              if (screenState.emissiveIntensity !== null && screenState.emissiveIntensity !== undefined) {
-                material.emissiveIntensity = screenState.emissiveIntensity;
-              }
-              
-              // Apply custom texture if one exists
-              if (screenState.hasCustomTexture && screenState.currentTexture) {
-                material.map = screenState.currentTexture;
-                material.emissiveMap = screenState.emissiveTexture;
-                console.log('Applied custom texture to new studio');
-              }
-              
-              material.needsUpdate = true;
-            }
-          });
+  getSurfaceState(key) {
+    return this.surfaceStates.get(key) || this.surfaceStates.get('*') || null;
+  }
+  
+  setSurfaceState(key, state) {
+    this.surfaceStates.set(key, state);
+  }
+  
+  clearSurfaceState(key) {
+    this.surfaceStates.delete(key);
+  }
+  
+  clearSurfaceStates() {
+    this.surfaceStates.clear();
+  }
+  
+  // Track a video used as surface content and keep the transport UI in sync with it
+  registerVideoContent(videoContent) {
+    this.videoContents.add(videoContent);
+    
+    ['timeupdate', 'play', 'pause', 'ratechange', 'ended'].forEach(eventName => {
+      videoContent.video.addEventListener(eventName, () => {
+        if (this.getActiveVideoContent() === videoContent) {
+          this.updateVideoTransportUI();
         }
       });
-      
-      resolve();
     });
   }
   
-  disposeStudioMesh(mesh) {
-    mesh.traverse((child) => {
-      if (child.isMesh) {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => {
-              // Don't dispose textures that might be reused (screen textures)
-              if (material.name !== "M_WhiteScreen") {
-                if (material.map) material.map.dispose();
-                if (material.normalMap) material.normalMap.dispose();
-                if (material.emissiveMap) material.emissiveMap.dispose();
-              }
-              material.dispose();
-            });
-          } else {
-            // Don't dispose textures that might be reused (screen textures)
-            if (child.material.name !== "M_WhiteScreen") {
-              if (child.material.map) child.material.map.dispose();
-              if (child.material.normalMap) child.material.normalMap.dispose();
-              if (child.material.emissiveMap) child.material.emissiveMap.dispose();
-            }
-            child.material.dispose();
-          }
-        }
+  // Track an image sequence used as surface content and keep its transport UI in sync with it
+  registerSequenceContent(sequenceContent) {
+    this.sequenceContents.add(sequenceContent);
+    sequenceContent.onChange = () => {
+      if (this.getActiveSequenceContent() === sequenceContent) {
+        this.updateSequenceTransportUI();
+      }
+    };
+  }
+  
+  // Track a still image used as surface content so its GPU memory is freed once unused
+  registerImageContent(texture) {
+    this.imageContents.add(texture);
+  }
+  
+  // Dispose videos, images and procedural content no longer shown on any surface or kept by a cue
+  releaseUnusedContent() {
+    const sources = [...this.surfaceStates.values(), ...this.cueList.cues];
+    if (this.ledScreen) {
+      this.ledScreen.getSurfaces().forEach((surface) => {
+        sources.push({ texture: surface.sourceTexture, videoContent: surface.videoContent });
+        if (surface.transitionSource) sources.push(surface.transitionSource);
+      });
+    }
+    
+    const usedVideos = new Set(sources.map(source => source.videoContent).filter(Boolean));
+    const usedTextures = new Set(sources.map(source => source.texture).filter(Boolean));
+    
+    this.videoContents.forEach(videoContent => {
+      if (!usedVideos.has(videoContent)) {
+        videoContent.dispose();
+        this.videoContents.delete(videoContent);
+      }
+    });
+    this.shaderContents.forEach(shaderContent => {
+      if (!usedTextures.has(shaderContent.texture)) {
+        shaderContent.dispose();
+        this.shaderContents.delete(shaderContent);
+      }
+    });
+    this.sequenceContents.forEach(sequenceContent => {
+      if (!usedTextures.has(sequenceContent.texture)) {
+        sequenceContent.dispose();
+        this.sequenceContents.delete(sequenceContent);
+      }
+    });
+    this.imageContents.forEach(texture => {
+      if (!usedTextures.has(texture)) {
+        if (texture.tiledContent) texture.tiledContent.dispose();
+        texture.dispose();
+        this.imageContents.delete(texture);
       }
     });
+    
+    this.updateVideoTransportUI();
+    this.updateSequenceTransportUI();
+  }
+  
+  // Video driven by the transport controls: the one on the selected surface(s)
+  getActiveVideoContent() {
+    if (!this.ledScreen) return null;
+    
+    const surface = this.ledScreen.getTargetSurfaces().find(s => s.videoContent);
+    return surface ? surface.videoContent : null;
+  }
+  
+  // Image sequence driven by the sequence transport: the one on the selected surface(s)
+  getActiveSequenceContent() {
+    const surface = this.ledScreen ? this.ledScreen.getPrimarySurface() : null;
+    return surface && surface.sourceTexture ? surface.sourceTexture.sequenceContent || null : null;
+  }
+  
+  // Populate the LED surface selector for the current studio
+  populateSurfaceSelector() {
+    const select = document.getElementById('surface-select');
+    const surfaces = this.ledScreen ? this.ledScreen.getSurfaces() : [];
+    
+    select.innerHTML = '<option value="all">All Surfaces</option>';
+    surfaces.forEach(surface => {
+      const option = document.createElement('option');
+      option.value = surface.key;
+      option.textContent = surface.name;
+      select.appendChild(option);
+    });
+    
+    // Keep the selection if the new studio has the same surface
+    if (!this.ledScreen || !this.ledScreen.getSurface(this.selectedSurfaceKey)) {
+      this.selectedSurfaceKey = 'all';
+    }
+    select.value = this.selectedSurfaceKey;
+    
+    this.updateScreenControlsUI();
   }
-}
+  
+  selectSurface(key) {
+    this.selectedSurfaceKey = key || 'all';
+    this.updateScreenControlsUI();
+    console.log('LED surface selected:', this.selectedSurfaceKey);
+  }
+  
+  updateTransformUI(transform) {
+    document.getElementById('bg-pos-x').value = transform.offsetX;
+    document.getElementById('bg-pos-y').value = transform.offsetY;
+    document.getElementById('bg-scale-x').value = transform.scaleX;
+    document.getElementById('bg-scale-y').value = transform.scaleY;
+    document.getElementById('bg-rotation').value = transform.rotation;
+    document.getElementById('bg-pivot-x').value = transform.pivotX;
+    document.getElementById('bg-pivot-y').value = transform.pivotY;
+    document.getElementById('bg-flip-x').checked = transform.flipX;
+    document.getElementById('bg-flip-y').checked = transform.flipY;
+    document.getElementById('bg-fit').value = transform.fit;
+    document.getElementById('bg-wrap').value = transform.wrap;
+    document.getElementById('bg-wrap').disabled = transform.fit === 'tile'; // Tiling always repeats
+  }
+  
+  // Exposure controls only apply to floating-point content
+  updateHDRUI(surface) {
+    const isHDR = Boolean(surface) && isHDRTexture(surface.sourceTexture);
+    document.getElementById('hdr-controls').style.display = isHDR ? 'block' : 'none';
+    if (!isHDR) return;
+    
+    const { exposure, toneCurve, highlightStops } = surface.hdr;
+    document.getElementById('hdr-exposure').value = exposure;
+    document.getElementById('hdr-exposure-value').textContent = `${exposure > 0 ? '+' : ''}${exposure.toFixed(1)} EV`;
+    document.getElementById('hdr-tone-curve').value = toneCurve;
+    document.getElementById('hdr-highlights').value = highlightStops;
+    document.getElementById('hdr-highlights-value').textContent = `${highlightStops} stops`;
+    document.getElementById('hdr-highlights').disabled = toneCurve !== 'reinhard'; // Only Reinhard has a white point
+  }
+  
+  // Sync the screen controls with the selected surface
+  updateScreenControlsUI() {
+    this.updateShaderEditorUI();
 
-// PropsLibrary Class - Manages the props library system
-class PropsLibrary {
-  constructor() {
-    this.propsPath = 'public/props/';
-    this.availableProps = [];
-    this.isLoaded = false;
+    const surface = this.ledScreen ? this.ledScreen.getPrimarySurface() : null;
+    if (surface) {
+      document.getElementById('brightness-slider').value = Math.round(surface.brightness * 100);
+      this.updateBrightnessValue(surface);
+      document.getElementById('led-peak-nits').value = surface.display.peakNits;
+      document.getElementById('led-white-point').value = surface.display.whitePoint;
+      document.getElementById('led-white-point-value').textContent = `${surface.display.whitePoint}K`;
+      document.getElementById('led-eotf').value = surface.display.eotf;
+      document.getElementById('led-color-space').value = surface.display.colorSpace;
+      document.getElementById('surface-enabled').checked = surface.enabled;
+      this.updateTransformUI(surface.transform);
+    }
+    this.updateHDRUI(surface);
+    
+    if (surface) {
+      const mapping = surface.mapping;
+      document.getElementById('mapping-mode').value = mapping.mode;
+      document.getElementById('equirect-controls').style.display = mapping.mode === 'equirect' ? 'flex' : 'none';
+      ['yaw', 'pitch', 'roll', 'horizon'].forEach(key => {
+        document.getElementById(`equirect-${key}`).value = mapping[key];
+        document.getElementById(`equirect-${key}-value`).textContent = `${mapping[key]}°`;
+      });
+      document.getElementById('nodal-x').value = mapping.nodalPoint.x;
+      document.getElementById('nodal-y').value = mapping.nodalPoint.y;
+      document.getElementById('nodal-z').value = mapping.nodalPoint.z;
+    }
+    
+    // Crops and UV transforms don't apply to panoramas
+    const isEquirect = surface && surface.mapping.mode === 'equirect';
+    document.getElementById('crop-edit-btn').disabled = !(surface && surface.sourceTexture) || isEquirect;
+    
+    this.updateContentResolutionInfo();
+    this.updateVideoTransportUI();
+    this.updateSequenceTransportUI();
   }
   
-  async loadPropsLibrary() {
-    try {
-      // Since we can't directly list directory contents in a browser,
-      // we'll define the known props and try to load them
-      const knownProps = ['car', 'woman-sport'];
-      
-      this.availableProps = [];
-      
-      for (const propName of knownProps) {
-        const propData = await this.loadPropData(propName);
-        if (propData) {
-          this.availableProps.push(propData);
-        }
-      }
-      
-      this.isLoaded = true;
-      console.log('Props library loaded:', this.availableProps);
-      return this.availableProps;
-      
-    } catch (error) {
-      console.error('Error loading props library:', error);
-      return [];
+  updateBrightnessValue(surface) {
+    const nits = Math.round(surface.display.peakNits * surface.brightness);
+    document.getElementById('brightness-value').textContent = `${Math.round(surface.brightness * 100)}% • ${nits} nits`;
+  }
+  
+  // Show the content resolution and warn when it is below the studio's LED processor canvas
+  updateContentResolutionInfo() {
+    const info = document.getElementById('content-resolution-info');
+    const surface = this.ledScreen ? this.ledScreen.getPrimarySurface() : null;
+    
+    if (!surface || !surface.sourceTexture) {
+      info.style.display = 'none';
+      return;
+    }
+    
+    const texture = surface.sourceTexture;
+    const { width, height } = getContentResolution(texture);
+    const crop = surface.crop || { x: 0, y: 0, width: 1, height: 1 };
+    const croppedWidth = Math.round(width * crop.width);
+    const croppedHeight = Math.round(height * crop.height);
+    
+    let text = `Source ${width} × ${height}px • Crop ${croppedWidth} × ${croppedHeight}px`;
+    if (texture.tiledContent) {
+      text += ` • ${texture.tiledContent.tiles.length} tiles`;
+    }
+    
+    const studio = this.studioManager.getCurrentStudio();
+    const processor = studio ? studio.processorResolution : null;
+    const isBelowProcessor = processor && (croppedWidth < processor.width || croppedHeight < processor.height);
+    
+    if (isBelowProcessor) {
+      const upscale = Math.max(processor.width / croppedWidth, processor.height / croppedHeight);
+      text += `\nBelow ${studio.displayName} processor canvas ${processor.width} × ${processor.height}px (${upscale.toFixed(1)}× upscale)`;
+      console.warn('Content resolution below LED processor resolution:', { croppedWidth, croppedHeight, processor });
     }
+    
+    info.textContent = text;
+    info.classList.toggle('warning', Boolean(isBelowProcessor));
+    info.style.display = 'block';
   }
   
-  async loadPropData(propName) {
-    try {
-      const basePath = `${this.propsPath}${propName}/`;
-      const glbPath = `${basePath}${propName}.glb`;
-      const thumbnailPath = `${basePath}${propName}_thumbnail.png`;
-      
-      // Check if files exist by attempting to load thumbnail
-      const thumbnailExists = await this.checkFileExists(thumbnailPath);
-      const glbExists = await this.checkFileExists(glbPath);
-      
-      if (thumbnailExists && glbExists) {
-        return {
-          name: propName,
-          displayName: this.formatDisplayName(propName),
-          glbPath: glbPath,
-          thumbnailPath: thumbnailPath
-        };
+  // Open the crop editor for the content on the selected surface(s)
+  openCropEditor() {
+    const surface = this.ledScreen ? this.ledScreen.getPrimarySurface() : null;
+    if (!surface || !surface.sourceTexture) return;
+    
+    const texture = surface.sourceTexture;
+    this.cropEditor.open(texture.hdrPreview || texture.image, surface.crop, this.ledScreen.aspectRatio, (crop) => {
+      // The studio may have changed while the editor was open
+      if (this.ledScreen) {
+        this.ledScreen.setCrop(crop, texture);
+        this.updateContentResolutionInfo();
+        console.log('Crop applied:', crop);
       }
-      
-      return null;
-      
-    } catch (error) {
-      console.warn(`Could not load prop data for ${propName}:`, error);
-      return null;
-    }
+    });
   }
   
-  async checkFileExists(url) {
-    try {
-      const response = await fetch(url, { method: 'HEAD' });
-      return response.ok;
-    } catch (error) {
-      return false;
+  // Sync the video transport controls with the current video state
+  updateVideoTransportUI() {
+    const transport = document.getElementById('video-transport');
+    const video = this.getActiveVideoContent();
+    
+    if (!video) {
+      transport.style.display = 'none';
+      return;
+    }
+    
+    transport.style.display = 'block';
+    
+    const duration = video.getDuration();
+    const currentTime = video.getCurrentTime();
+    
+    const scrub = document.getElementById('video-scrub');
+    scrub.max = duration;
+    if (!scrub.matches(':active')) {
+      scrub.value = currentTime;
+    }
+    
+    document.getElementById('video-time').textContent =
+      `${formatTimecode(currentTime)} / ${formatTimecode(duration)}`;
+    
+    const playBtn = document.getElementById('video-play-btn');
+    const isPlaying = video.isPlaying();
+    if (playBtn.dataset.playing !== String(isPlaying)) {
+      playBtn.dataset.playing = String(isPlaying);
+      playBtn.title = isPlaying ? 'Pause' : 'Play';
+      playBtn.innerHTML = `<i data-lucide="${isPlaying ? 'pause' : 'play'}"></i>`;
+      if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+      }
     }
+    
+    const inInput = document.getElementById('video-in-point');
+    const outInput = document.getElementById('video-out-point');
+    inInput.max = duration;
+    outInput.max = duration;
+    if (document.activeElement !== inInput) inInput.value = video.inPoint.toFixed(2);
+    if (document.activeElement !== outInput) outInput.value = video.getOutPoint().toFixed(2);
+    
+    document.getElementById('video-loop').checked = video.loop;
+    document.getElementById('video-rate').value = String(video.playbackRate);
   }
   
-  formatDisplayName(propName) {
-    return propName
-      .split('-')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
+  // Sync the image sequence transport with the current sequence state
+  updateSequenceTransportUI() {
+    const transport = document.getElementById('sequence-transport');
+    const sequence = this.getActiveSequenceContent();
+    
+    if (!sequence) {
+      transport.style.display = 'none';
+      return;
+    }
+    
+    transport.style.display = 'block';
+    
+    const frameCount = sequence.getFrameCount();
+    const scrub = document.getElementById('sequence-scrub');
+    scrub.max = frameCount - 1;
+    if (!scrub.matches(':active')) {
+      scrub.value = sequence.currentFrame;
+    }
+    
+    document.getElementById('sequence-frame').textContent =
+      `Frame ${sequence.currentFrame + 1} / ${frameCount} • ${formatTimecode(sequence.currentFrame / sequence.fps)}`;
+    
+    const playBtn = document.getElementById('sequence-play-btn');
+    const isPlaying = sequence.isPlaying();
+    if (playBtn.dataset.playing !== String(isPlaying)) {
+      playBtn.dataset.playing = String(isPlaying);
+      playBtn.title = isPlaying ? 'Pause' : 'Play';
+      playBtn.innerHTML = `<i data-lucide="${isPlaying ? 'pause' : 'play'}"></i>`;
+      if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+      }
+    }
+    
+    document.getElementById('sequence-loop').checked = sequence.loop;
+    document.getElementById('sequence-fps').value = String(sequence.fps);
+    document.getElementById('sequence-budget').value = String(sequence.memoryBudget / (1024 * 1024));
+    
+    const megabytes = Math.round(sequence.getMemoryUsage() / (1024 * 1024));
+    const dropped = sequence.failedFrames.size > 0 ? ` • ${sequence.failedFrames.size} unreadable` : '';
+    document.getElementById('sequence-buffer').textContent =
+      `${sequence.width} × ${sequence.height} • ${sequence.frames.size} frames buffered (${megabytes} MB)${dropped}`;
   }
   
-  getProps() {
-    return this.availableProps;
+  setCabinetSeamsVisible(visible) {
+    this.showCabinetSeams = visible;
+    this.updateCabinetSeams();
   }
   
-  getPropByName(name) {
-    return this.availableProps.find(prop => prop.name === name);
+  updateCabinetSeams() {
+    if (!this.ledScreen) return;
+    const studio = this.studioManager.getCurrentStudio();
+    this.ledScreen.setCabinetSeams(this.showCabinetSeams && studio ? studio.layout : null);
   }
-}
-
-// Main Application Class
-class LEDStageApp {
-  constructor() {
-    // Core Three.js components
-    this.scene = new THREE.Scene();
-    this.renderer = null;
-    this.mainCamera = null;
-    this.controls = null;
-    this.transformControls = null;
+  
+  // List the cabinet grid and resolution of each surface in the current studio
+  updateLEDLayoutUI() {
+    const info = document.getElementById('led-layout-info');
+    const studio = this.studioManager.getCurrentStudio();
+    const layout = studio ? studio.layout : null;
     
-    // Systems
-    this.ledScreen = null;
-    this.studioManager = new LEDStudioManager(this.scene);
-    this.propsLibrary = new PropsLibrary();
-    this.sceneObjects = new Map(); // id -> SceneObject
-    this.cinemaCameras = new Map(); // id -> CinemaCamera
-    this.selectedObject = null; // Can be SceneObject or CinemaCamera
-    this.cameraCounter = 1;
+    document.getElementById('export-pixel-map-btn').disabled = !layout;
+    document.getElementById('export-pixel-map-json-btn').disabled = !layout;
     
-    // Global custom texture state
-    this.globalCustomTexture = null;
-    this.globalCustomEmissiveTexture = null;
-    this.globalBrightness = 1.0;
+    if (!layout) {
+      info.textContent = 'No cabinet layout defined for this studio';
+      return;
+    }
     
-    // Interaction
-    this.raycaster = new THREE.Raycaster();
-    this.mouse = new THREE.Vector2();
-    this.transformSpace = 'world';
+    const lines = layout.getSurfaceLayouts().map((surface) => {
+      const size = layout.getSurfaceSize(surface.key);
+      const resolution = layout.getSurfaceResolution(surface.key);
+      const processor = layout.processors[surface.processor];
+      return `${surface.key}: ${surface.columns} × ${surface.rows} cabinets (${surface.cabinet.pixelPitch}mm) • ` +
+        `${size.width.toFixed(1)} × ${size.height.toFixed(1)}m • ${resolution.width} × ${resolution.height}px on ${processor ? processor.name : '?'}`;
+    });
     
-    // Preview system
-    this.cameraPreviewRenderer = null;
-    this.isFullscreen = false;
-    this.pinnedCamera = null; // Track which camera preview is pinned
+    // Screens in the studio model without a layout entry
+    const surfaces = this.ledScreen ? this.ledScreen.getSurfaces() : [];
+    surfaces.filter(surface => !layout.getSurfaceLayout(surface.key)).forEach((surface) => {
+      lines.push(`${surface.key}: no cabinet layout`);
+    });
     
-    // Initialize the application
-    this.init();
+    lines.push(`Total: ${(layout.getTotalPixelCount() / 1e6).toFixed(1)} megapixels`);
+    info.textContent = lines.join('\n');
   }
   
-  init() {
-    this.setupRenderer();
-    this.setupCamera();
-    this.setupControls();
-    this.setupLighting();
-    this.setupEventListeners();
-    this.initializeStudioManager();
-    this.initializePropsLibrary();
-    this.initializeCustomDropdown();
-    this.animate();
+  // Download a pixel map template image for each processor canvas
+  exportPixelMap() {
+    const studio = this.studioManager.getCurrentStudio();
+    if (!studio || !studio.layout) return;
+    
+    studio.layout.processors.forEach((processor, index) => {
+      const canvas = studio.layout.createPixelMapCanvas(index);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          console.error('Could not create pixel map image for', processor.name);
+          return;
+        }
+        downloadBlob(blob, `${studio.name}_${processor.name.replace(/\s+/g, '_')}_pixel_map.png`);
+      }, 'image/png');
+    });
+    
+    console.log('Pixel map exported for studio:', studio.displayName);
   }
   
-  setupRenderer() {
-    this.renderer = new THREE.WebGLRenderer({ antialias: true });
-    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setClearColor(0x000000);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  exportPixelMapJSON() {
+    const studio = this.studioManager.getCurrentStudio();
+    if (!studio || !studio.layout) return;
+    
+    const pixelMap = {
+      studio: studio.name,
+      displayName: studio.displayName,
+      ...studio.layout.toJSON()
+    };
     
-    document.body.appendChild(this.renderer.domElement);
+    const blob = new Blob([JSON.stringify(pixelMap, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${studio.name}_pixel_map.json`);
+  }
+  
+  // Camera the inner frustum follows: the pinned camera, otherwise the selected one
+  getInnerFrustumCamera() {
+    if (this.pinnedCamera) return this.pinnedCamera;
+    return this.selectedObject instanceof CinemaCamera ? this.selectedObject : null;
+  }
+  
+  // Render the inner frustum for a renderer before it draws the stage
+  renderInnerFrustum(renderer) {
+    this.innerFrustum.render(renderer, this.getInnerFrustumCamera());
+  }
+  
+  // Per-renderer work before drawing the stage: inner frustum content, then the light it puts on the set
+  prepareStageRender(renderer) {
+    this.parallaxContent.track(this.getInnerFrustumCamera());
+    this.renderInnerFrustum(renderer);
+    this.stageLighting.apply(renderer);
+  }
+  
+  // Props and cameras, whose motion is blurred in captures
+  getMovableObjects() {
+    const objects = [];
+    this.sceneObjects.forEach(sceneObject => objects.push(sceneObject.mesh));
+    this.cinemaCameras.forEach(camera => objects.push(camera.group));
+    return objects;
+  }
+  
+  // LED surface state changed: refresh everything derived from the wall output
+  onSurfaceStateChanged() {
+    this.stageLighting.invalidate();
+    this.updateExposureInfo();
+  }
+  
+  // Content that changes every frame, so the wall lighting has to follow it
+  hasLiveContent() {
+    const isVideoPlaying = Array.from(this.videoContents).some(videoContent => videoContent.isPlaying());
+    const isShaderPlaying = Array.from(this.shaderContents).some(shaderContent => shaderContent.playing);
+    const isSequencePlaying = Array.from(this.sequenceContents).some(sequenceContent => sequenceContent.isPlaying());
+    return isVideoPlaying || isShaderPlaying || isSequencePlaying || this.cueList.isTransitioning() || this.innerFrustum.uniforms.innerFrustumActive.value > 0;
+  }
+  
+  setInnerFrustumEnabled(enabled) {
+    this.innerFrustum.setEnabled(enabled);
+    if (this.ledScreen) {
+      this.ledScreen.setInnerFrustum(enabled ? this.innerFrustum : null);
+    }
+    this.updateInnerFrustumUI();
+  }
+  
+  async loadVirtualEnvironment(file) {
+    try {
+      await this.assetLoader.load(`Environment: ${file.name}`, job => this.innerFrustum.loadEnvironment(file, job));
+    } catch (error) {
+      this.assetLoader.reportError('Could not load virtual environment', error);
+    }
+    this.updateInnerFrustumUI();
   }
   
-  setupCamera() {
-    this.mainCamera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 1, 1000);
-    this.mainCamera.position.set(-10, 7, -15);
+  clearVirtualEnvironment() {
+    this.innerFrustum.clearEnvironment();
+    this.updateInnerFrustumUI();
   }
   
-  setupControls() {
-    this.controls = new OrbitControls(this.mainCamera, this.renderer.domElement);
-    this.controls.enableDamping = true;
-    this.controls.enablePan = false;
-    this.controls.minDistance = 1;
-    this.controls.maxDistance = 30;
-    this.controls.minPolarAngle = -0.5;
-    this.controls.maxPolarAngle = 1.5;
-    this.controls.autoRotate = false;
-    this.controls.target = new THREE.Vector3(0, 2, 0);
-    this.controls.update();
+  // Compile the editor's shader into new content for the selected surface(s), showing any compile error
+  applyShaderContent(source, sliders) {
+    if (!this.ledScreen) return;
+    
+    const height = SHADER_CONTENT_HEIGHT;
+    const width = Math.min(Math.round(height * this.ledScreen.aspectRatio), this.ledScreen.getMaxTextureSize());
+    const shaderContent = new ShaderContent(source, { width, height, sliders });
+    const error = shaderContent.compile();
+    
+    const errorInfo = document.getElementById('shader-error');
+    errorInfo.textContent = error || '';
+    errorInfo.style.display = error ? 'block' : 'none';
+    
+    if (error) {
+      shaderContent.dispose();
+      console.warn('Shader content failed to compile');
+      return;
+    }
     
-    // Transform controls
-    this.transformControls = new TransformControls(this.mainCamera, this.renderer.domElement);
-    this.transformControls.addEventListener('dragging-changed', (event) => {
-      this.controls.enabled = !event.value;
-    });
-    this.scene.add(this.transformControls);
+    this.shaderContents.add(shaderContent);
+    this.shaderEditorContent = shaderContent;
+    this.ledScreen.setShaderContent(shaderContent);
+    this.updateScreenControlsUI();
   }
   
-  setupLighting() {
-    const spotLight = new THREE.SpotLight(0xffffff, 10000, 100, 0.4, 1.2);
-    spotLight.position.set(0, 25, 0);
-    spotLight.castShadow = true;
-    spotLight.shadow.bias = -0.0001;
-    this.scene.add(spotLight);
+  // Shader shown on the selected surface(s), driven by the editor's sliders and play button
+  getActiveShaderContent() {
+    const surface = this.ledScreen ? this.ledScreen.getPrimarySurface() : null;
+    return surface && surface.sourceTexture ? surface.sourceTexture.shaderContent || null : null;
+  }
+  
+  updateShaderEditorUI() {
+    const shaderContent = this.getActiveShaderContent();
+    
+    // Load a shader into the editor when selecting a surface that shows it, keeping unapplied edits otherwise
+    if (shaderContent && shaderContent !== this.shaderEditorContent) {
+      this.shaderEditorContent = shaderContent;
+      document.getElementById('shader-source').value = shaderContent.source;
+      shaderContent.getSliders().forEach((value, index) => {
+        document.getElementById(`shader-slider-${index + 1}`).value = value;
+      });
+    }
     
-    const ambientLight = new THREE.AmbientLight(0xFFFFFF, 0.5);
-    this.scene.add(ambientLight);
+    const playButton = document.getElementById('shader-play-btn');
+    playButton.disabled = !shaderContent;
+    playButton.textContent = shaderContent && !shaderContent.playing ? 'Play' : 'Pause';
+    document.getElementById('shader-status').textContent = shaderContent
+      ? `Live on ${this.selectedSurfaceKey === 'all' ? 'all surfaces' : this.selectedSurfaceKey} • ${shaderContent.canvas.width} × ${shaderContent.canvas.height}`
+      : 'Not shown on the selected surface';
   }
   
-  setupEventListeners() {
-    this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event), false);
-    window.addEventListener('resize', () => this.onWindowResize(), false);
-    document.addEventListener('keydown', (event) => this.onKeyDown(event), false);
+  async addParallaxLayers(files) {
+    for (const file of files) {
+      try {
+        await this.parallaxContent.addLayer(file);
+      } catch (error) {
+        this.assetLoader.reportError(`Could not add parallax layer ${file.name}`, error);
+        break;
+      }
+    }
+    this.onParallaxContentChanged(true);
   }
   
-  // Initialize studio manager and load available studios
-  async initializeStudioManager() {
-    try {
-      // Load available studios
-      await this.studioManager.loadAvailableStudios();
+  // Layer edits show live on every surface using the composition; adding or removing layers rebuilds their shaders
+  onParallaxContentChanged(layersChanged = false) {
+    if (this.ledScreen && layersChanged) {
+      this.ledScreen.refreshContent(this.parallaxContent.texture);
+    }
+    this.onSurfaceStateChanged();
+    this.updateParallaxUI();
+  }
+  
+  updateParallaxUI() {
+    const parallax = this.parallaxContent;
+    const list = document.getElementById('parallax-layer-list');
+    
+    list.innerHTML = '';
+    parallax.layers.forEach((layer) => {
+      const row = document.createElement('div');
+      row.className = 'parallax-layer-row';
+      row.innerHTML = `
+        <span class="parallax-layer-name"></span>
+        <label>Depth <input type="number" class="parallax-layer-depth" min="0.5" step="0.5" /></label>
+        <label>Y <input type="number" class="parallax-layer-offset" step="0.01" /></label>
+        <button class="parallax-layer-remove" title="Remove layer">×</button>
+      `;
       
-      // Populate studio dropdown
-      this.populateStudioDropdown();
+      row.querySelector('.parallax-layer-name').textContent = layer.name;
+      const depthInput = row.querySelector('.parallax-layer-depth');
+      const offsetInput = row.querySelector('.parallax-layer-offset');
+      depthInput.value = layer.depth;
+      offsetInput.value = layer.offsetY;
       
-      // Load default studio (Madrid)
-      const defaultStudio = 'MADRID_15X5';
-      const result = await this.studioManager.switchStudio(defaultStudio, false);
+      depthInput.addEventListener('change', () => {
+        parallax.setLayer(layer.id, { depth: Math.max(0.5, parseFloat(depthInput.value) || layer.depth) });
+        this.onParallaxContentChanged();
+      });
+      offsetInput.addEventListener('change', () => {
+        parallax.setLayer(layer.id, { offsetY: parseFloat(offsetInput.value) || 0 });
+        this.onParallaxContentChanged();
+      });
+      row.querySelector('.parallax-layer-remove').addEventListener('click', () => {
+        parallax.removeLayer(layer.id);
+        this.onParallaxContentChanged(true);
+      });
+      list.appendChild(row);
+    });
+    
+    document.getElementById('parallax-add-input').disabled = parallax.layers.length >= MAX_PARALLAX_LAYERS;
+    document.getElementById('parallax-apply-btn').disabled = parallax.layers.length === 0;
+    this.updateParallaxStatus();
+  }
+  
+  updateParallaxStatus() {
+    const layerCount = this.parallaxContent.layers.length;
+    const camera = this.getInnerFrustumCamera();
+    
+    document.getElementById('parallax-status').textContent = layerCount === 0
+      ? 'Add image layers to compose'
+      : `${layerCount} layer${layerCount === 1 ? '' : 's'} • ` +
+        (camera ? `parallax from ${camera.name}` : 'select a camera for parallax, showing the nodal view');
+  }
+  
+  // Rebuild the cue list and sync the cue editor with the standby cue
+  updateCueListUI() {
+    const list = document.getElementById('cue-list');
+    const cueList = this.cueList;
+    const standby = cueList.cues[cueList.selectedIndex] || null;
+    
+    list.innerHTML = '';
+    cueList.cues.forEach((cue, index) => {
+      const row = document.createElement('div');
+      row.className = 'cue-row';
+      row.classList.toggle('standby', index === cueList.selectedIndex);
+      row.classList.toggle('active', index === cueList.activeIndex);
       
-      if (result && result.success) {
-        // Create LED screen system with the loaded studio mesh
-        this.ledScreen = new LEDScreen(result.mesh, "M_WhiteScreen", this);
-        
-        // Initialize global brightness from the original studio texture
-        this.globalBrightness = this.ledScreen.originalEmissiveIntensity;
-        
-        // Update dropdown selection
-        document.getElementById('studio-dropdown').value = defaultStudio;
-        
-        console.log('Default studio loaded successfully');
-      }
+      row.innerHTML = `
+        <span class="cue-number">${index + 1}</span>
+        <span class="cue-name"></span>
+        <span class="cue-timing"></span>
+        <button class="cue-fire-btn" title="Fire cue">▶</button>
+        <button class="cue-remove-btn" title="Remove cue">×</button>
+      `;
       
-      // Hide loading screen
-      document.getElementById('progress-container').style.display = 'none';
+      const content = cue.texture ? (cue.texture.userData.sourceName || 'Content') : 'Studio default';
+      const nameLabel = row.querySelector('.cue-name');
+      nameLabel.textContent = cue.name;
+      nameLabel.title = `${content} on ${cue.surfaceKey === 'all' ? 'all surfaces' : cue.surfaceKey}`;
+      row.querySelector('.cue-timing').textContent = [
+        cue.transition === 'cut' ? CUE_TRANSITIONS.cut : `${CUE_TRANSITIONS[cue.transition]} ${cue.transitionTime}s`,
+        cue.followTime > 0 ? `follow ${cue.followTime}s` : null
+      ].filter(Boolean).join(' • ');
       
-    } catch (error) {
-      console.error('Error initializing studio manager:', error);
-      document.getElementById('progress-container').style.display = 'none';
-    }
-  }
-  
-  // Populate studio dropdown
-  populateStudioDropdown() {
-    const dropdown = document.getElementById('studio-dropdown');
-    const studios = this.studioManager.getStudios();
-    
-    // Clear existing options
-    dropdown.innerHTML = '';
+      row.addEventListener('click', () => cueList.selectCue(index));
+      row.querySelector('.cue-fire-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        cueList.fire(index);
+      });
+      row.querySelector('.cue-remove-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        cueList.removeCue(index);
+      });
+      list.appendChild(row);
+    });
     
-    if (studios.length === 0) {
-      dropdown.innerHTML = '<option value="">No studios available</option>';
-      return;
+    if (standby) {
+      document.getElementById('cue-name').value = standby.name;
+      document.getElementById('cue-transition').value = standby.transition;
+      document.getElementById('cue-transition-time').value = standby.transitionTime;
+      document.getElementById('cue-follow-time').value = standby.followTime;
     }
-    
-    // Add studio options
-    studios.forEach(studio => {
-      const option = document.createElement('option');
-      option.value = studio.name;
-      option.textContent = studio.displayName;
-      dropdown.appendChild(option);
+    ['cue-name', 'cue-transition', 'cue-transition-time', 'cue-follow-time', 'cue-update-btn', 'cue-go-btn'].forEach((id) => {
+      document.getElementById(id).disabled = !standby;
     });
     
-    console.log('Studio dropdown populated with', studios.length, 'studios');
+    const active = cueList.cues[cueList.activeIndex];
+    document.getElementById('cue-status').textContent = cueList.cues.length === 0
+      ? 'No cues recorded'
+      : `Live: ${active ? active.name : '—'} • Standby: ${standby ? standby.name : '—'}`;
   }
   
-  // Handle studio change
-  async onStudioChange(studioName) {
-    if (!studioName) return;
-    
-    console.log('Changing studio to:', studioName);
-    
-    try {
-      // Store current screen state before switching
-      let currentBrightness = this.globalBrightness;
-      let hasCustomTexture = this.globalCustomTexture !== null;
-      
-      // Switch studio without preserving screen state (we'll handle it manually)
-      const result = await this.studioManager.switchStudio(studioName, false);
-      
-      if (result && result.success) {
-        // Create new LED screen system to use new studio mesh
-        this.ledScreen = new LEDScreen(result.mesh, "M_WhiteScreen", this);
-        
-        // Apply global texture state if we have custom texture
-        if (hasCustomTexture && this.globalCustomTexture) {
-          this.ledScreen.material.map = this.globalCustomTexture;
-          this.ledScreen.material.emissiveMap = this.globalCustomEmissiveTexture;
-          this.ledScreen.currentTexture = this.globalCustomTexture;
-          this.ledScreen.material.needsUpdate = true;
-          console.log('Applied global custom texture to new studio');
-        }
-        
-        // Apply brightness setting
-        this.ledScreen.setBrightness(currentBrightness);
-        
-        // Update UI controls to reflect current brightness
-        const emissiveSlider = document.getElementById('emissive-slider');
-        const emissiveValue = document.getElementById('emissive-value');
-        emissiveSlider.value = currentBrightness;
-        emissiveValue.textContent = currentBrightness.toFixed(1);
-        
-        console.log('Studio changed successfully to:', studioName);
-      } else {
-        console.error('Failed to change studio');
-      }
-    } catch (error) {
-      console.error('Error changing studio:', error);
+  // Sync the inner frustum panel with the environment and tracked camera
+  updateInnerFrustumUI() {
+    const status = document.getElementById('inner-frustum-status');
+    const camera = this.getInnerFrustumCamera();
+    
+    document.getElementById('environment-name').textContent = this.innerFrustum.environmentName || 'No environment loaded';
+    document.getElementById('clear-environment-btn').disabled = !this.innerFrustum.environment;
+    document.getElementById('inner-frustum-enabled').checked = this.innerFrustum.enabled;
+    
+    if (!this.innerFrustum.enabled) {
+      status.textContent = 'Inner frustum off';
+    } else if (!this.innerFrustum.environment) {
+      status.textContent = 'Load a virtual environment';
+    } else if (!camera) {
+      status.textContent = 'Select or pin a camera to track';
+    } else {
+      status.textContent = `Tracking ${camera.name}${this.pinnedCamera === camera ? ' (pinned)' : ''}`;
     }
+    
+    // Parallax layers follow the same tracked camera
+    this.updateParallaxStatus();
   }
   
   animate() {
     requestAnimationFrame(() => this.animate());
     this.controls.update();
+    
+    // Keep video playback within its in/out range
+    this.videoContents.forEach(videoContent => videoContent.update());
+    this.shaderContents.forEach(shaderContent => shaderContent.update(performance.now()));
+    this.sequenceContents.forEach(sequenceContent => sequenceContent.update(performance.now()));
+    
+    this.cueList.update(performance.now());
+    if (this.ledScreen) this.ledScreen.syncContent();
+    this.motionRecorder.record(this.getMovableObjects(), performance.now() / 1000);
+    this.stageLighting.update(performance.now(), this.hasLiveContent());
+    this.prepareStageRender(this.renderer);
     this.renderer.render(this.scene, this.mainCamera);
     
     // Update camera preview if active (either selected camera or pinned camera)
@@ -1095,6 +7112,7 @@ class LEDStageApp {
     }
     
     this.updateTransformSpace();
+    this.updateInnerFrustumUI();
   }
   
   deselectAll() {
@@ -1105,6 +7123,7 @@ class LEDStageApp {
     
     this.transformControls.detach();
     this.hideAllControlPanels();
+    this.updateInnerFrustumUI();
   }
   
   showModelControls() {
@@ -1121,10 +7140,62 @@ class LEDStageApp {
     document.getElementById('camera-controls-panel').style.display = 'block';
     document.getElementById('model-controls').style.display = 'none';
     
+    this.updateCameraSettingsUI();
+    
     // Update pin button state
     this.updatePinButtonState();
   }
   
+  // Sync the camera settings panel with the selected camera
+  updateCameraSettingsUI() {
+    const camera = this.selectedObject;
+    if (!(camera instanceof CinemaCamera)) return;
+    
+    document.getElementById('focal-length').value = camera.focalLength;
+    document.getElementById('focal-length-value').textContent = camera.focalLength + 'mm';
+    document.getElementById('sensor-size').value = camera.sensorSize;
+    document.getElementById('sensor-size-value').textContent = camera.sensorSize + 'mm';
+    
+    document.getElementById('camera-iso').value = String(camera.iso);
+    document.getElementById('camera-fps').value = String(camera.frameRate);
+    document.getElementById('camera-shutter').value = String(camera.shutterAngle);
+    document.getElementById('camera-tstop').value = String(camera.tStop);
+    document.getElementById('camera-nd').value = String(camera.ndDensity);
+    document.getElementById('camera-motion-blur').checked = camera.motionBlur;
+    
+    this.updateExposureInfo();
+  }
+  
+  // How hot the wall is for the selected camera's exposure
+  updateExposureInfo() {
+    const camera = this.selectedObject;
+    const info = document.getElementById('camera-exposure-info');
+    if (!(camera instanceof CinemaCamera) || !info) return;
+    
+    const greyNits = camera.getMiddleGreyNits();
+    const shutter = Math.round(1 / camera.getShutterTime());
+    let text = `Middle grey at ${greyNits.toFixed(1)} nits • 1/${shutter}s`;
+    let warning = false;
+    
+    const surfaces = this.ledScreen ? this.ledScreen.getSurfaces() : [];
+    const wallNits = Math.max(0, ...surfaces.map(surface => surface.getOutputNits()));
+    if (wallNits > 0) {
+      const stops = Math.log2(wallNits / greyNits);
+      text += `\nWall white ${Math.round(wallNits)} nits: ${stops >= 0 ? '+' : ''}${stops.toFixed(1)} stops over grey`;
+      
+      if (stops > CAMERA_HIGHLIGHT_STOPS) {
+        text += '\nToo hot: the wall clips, stop down, add ND or lower brightness';
+        warning = true;
+      } else if (stops < 2) {
+        text += '\nToo dim: open up or raise the wall brightness';
+        warning = true;
+      }
+    }
+    
+    info.textContent = text;
+    info.classList.toggle('warning', warning);
+  }
+  
   hideAllControlPanels() {
     document.getElementById('model-controls').style.display = 'none';
     document.getElementById('camera-controls-panel').style.display = 'none';
@@ -1175,6 +7246,8 @@ class LEDStageApp {
     this.transformControls.visible = false;
     
     // Render preview
+    cameraToRender.applyExposure(this.cameraPreviewRenderer);
+    this.prepareStageRender(this.cameraPreviewRenderer);
     this.cameraPreviewRenderer.render(this.scene, cameraToRender.camera);
     
     // Restore visibilities
@@ -1236,6 +7309,8 @@ class LEDStageApp {
     if (typeof lucide !== 'undefined') {
       lucide.createIcons();
     }
+    
+    this.updateInnerFrustumUI();
   }
   
   updateTransformSpace() {
@@ -1264,6 +7339,15 @@ class LEDStageApp {
   }
   
   onKeyDown(event) {
+    // Keyboard shortcuts are disabled while a modal editor is open
+    const openModal = [this.cropEditor, this.studioImportDialog, this.volumeBuilderDialog].find(modal => modal.isOpen);
+    if (openModal) {
+      if (event.key === 'Escape') {
+        openModal.close();
+      }
+      return;
+    }
+    
     if (event.key === 'Escape') {
       if (this.isFullscreen) {
         this.exitFullscreen();
@@ -1384,6 +7468,7 @@ class LEDStageApp {
     this.transformControls.detach();
     this.hideAllControlPanels();
     this.selectedObject = null;
+    this.updateInnerFrustumUI();
   }
   
   // Hide camera visuals for clean capture
@@ -1472,6 +7557,8 @@ class LEDStageApp {
         });
         this.transformControls.visible = false;
         
+        this.selectedObject.applyExposure(fullscreenRenderer);
+        this.prepareStageRender(fullscreenRenderer);
         fullscreenRenderer.render(this.scene, this.selectedObject.camera);
         requestAnimationFrame(renderFullscreen);
       }
@@ -1539,23 +7626,44 @@ class LEDStageApp {
   async initializePropsLibrary() {
     try {
       await this.propsLibrary.loadPropsLibrary();
+      await this.updateOfflineStatus(this.propsLibrary.getProps(), prop => prop.glbPath);
+      this.populatePropsCategories();
       this.populatePropsDropdown();
+      
+      const missingProps = this.propsLibrary.getMissingProps();
+      if (missingProps.length > 0) {
+        this.assetLoader.reportError('Props missing from the server', new Error(missingProps.map(prop => prop.glbPath).join(', ')));
+      }
     } catch (error) {
-      console.error('Error initializing props library:', error);
+      this.assetLoader.reportError('Could not load the props library', error);
       this.populatePropsDropdown([]); // Show empty state
     }
   }
   
-  // Populate the custom props dropdown with available props
+  populatePropsCategories() {
+    const select = document.getElementById('props-category');
+    select.innerHTML = '<option value="">All Categories</option>';
+    this.propsLibrary.getCategories().forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = category.name;
+      select.appendChild(option);
+    });
+  }
+  
+  // Populate the props browser with the props matching the search and category
   populatePropsDropdown(props = null) {
-    const dropdownOptions = document.getElementById('dropdown-options');
-    const propsToShow = props || this.propsLibrary.getProps();
+    const list = document.getElementById('props-dropdown-list');
+    const query = document.getElementById('props-search').value;
+    const category = document.getElementById('props-category').value;
+    const propsToShow = props || this.propsLibrary.search(query, category);
     
     // Clear existing options
-    dropdownOptions.innerHTML = '';
+    list.innerHTML = '';
     
     if (propsToShow.length === 0) {
-      dropdownOptions.innerHTML = '<div class="dropdown-option loading" data-value="">No props available</div>';
+      const message = query || category ? 'No matching props' : 'No props available';
+      list.innerHTML = `<div class="dropdown-option loading" data-value="">${message}</div>`;
       return;
     }
     
@@ -1563,21 +7671,49 @@ class LEDStageApp {
     propsToShow.forEach(prop => {
       const option = document.createElement('div');
       option.className = 'dropdown-option';
+      option.classList.toggle('missing', prop.isMissing);
       option.setAttribute('data-value', prop.name);
       
       const thumbnail = document.createElement('div');
       thumbnail.className = 'dropdown-option-thumbnail';
-      thumbnail.style.backgroundImage = `url('${prop.thumbnailPath}')`;
+      if (prop.thumbnailPath) {
+        thumbnail.style.backgroundImage = `url('${prop.thumbnailPath}')`;
+      } else {
+        thumbnail.classList.add('placeholder');
+        thumbnail.innerHTML = '<i data-lucide="box"></i>';
+      }
       
-      const text = document.createElement('span');
+      const text = document.createElement('div');
       text.className = 'dropdown-option-text';
-      text.textContent = prop.displayName;
       
+      const name = document.createElement('span');
+      name.textContent = prop.displayName;
+      
+      const specs = document.createElement('span');
+      specs.className = 'dropdown-option-detail';
+      specs.textContent = prop.isMissing ? `Missing file: ${prop.glbPath.split('/').pop()}` : this.propsLibrary.getPropSpecs(prop);
+      
+      text.appendChild(name);
+      text.appendChild(specs);
+      option.title = prop.tags.join(', ');
+      option.draggable = !prop.isMissing;
       option.appendChild(thumbnail);
       option.appendChild(text);
-      dropdownOptions.appendChild(option);
+      if (this.offlineCache.isSupported && !prop.isMissing) {
+        option.appendChild(this.createOfflineButton(prop));
+      }
+      
+      // Keep the current pick highlighted when the list is rebuilt
+      if (this.getSelectedPropValue && this.getSelectedPropValue() === prop.name) {
+        option.classList.add('selected');
+      }
+      list.appendChild(option);
     });
     
+    if (typeof lucide !== 'undefined') {
+      lucide.createIcons();
+    }
+    
     console.log('Props dropdown populated with', propsToShow.length, 'props');
   }
   
@@ -1597,7 +7733,7 @@ class LEDStageApp {
     if (selectedProp) {
       // Update selected display
       dropdownSelected.querySelector('span').textContent = selectedProp.displayName;
-      addPropButton.disabled = false;
+      addPropButton.disabled = selectedProp.isMissing;
     } else {
       dropdownSelected.querySelector('span').textContent = 'Select a prop...';
       addPropButton.disabled = true;
@@ -1609,6 +7745,7 @@ class LEDStageApp {
     const dropdown = document.getElementById('props-custom-dropdown');
     const dropdownSelected = document.getElementById('dropdown-selected');
     const dropdownOptions = document.getElementById('dropdown-options');
+    const searchInput = document.getElementById('props-search');
     let selectedValue = '';
     
     // Toggle dropdown open/close
@@ -1620,11 +7757,41 @@ class LEDStageApp {
         this.closeCustomDropdown();
       } else {
         this.openCustomDropdown();
+        searchInput.focus();
       }
     });
     
+    searchInput.addEventListener('input', () => this.populatePropsDropdown());
+    document.getElementById('props-category').addEventListener('change', () => this.populatePropsDropdown());
+    
+    // Props can be dragged from the list onto the view
+    const list = document.getElementById('props-dropdown-list');
+    list.addEventListener('dragstart', (e) => {
+      const option = e.target.closest('.dropdown-option');
+      if (!option) return;
+      
+      e.dataTransfer.setData(PROP_DRAG_TYPE, option.getAttribute('data-value'));
+      e.dataTransfer.setData('text/plain', option.getAttribute('data-value'));
+      e.dataTransfer.effectAllowed = 'copy';
+      this.draggedProp = this.propsLibrary.getPropByName(option.getAttribute('data-value'));
+      
+      // Closing the list inside dragstart would cancel the drag, so wait a tick
+      setTimeout(() => this.closeCustomDropdown(), 0);
+    });
+    list.addEventListener('dragend', () => {
+      this.draggedProp = null;
+      this.hidePlacementGhost();
+    });
+    
     // Handle option selection
-    dropdownOptions.addEventListener('click', (e) => {
+    document.getElementById('props-dropdown-list').addEventListener('click', (e) => {
+      const offlineButton = e.target.closest('.dropdown-option-offline');
+      if (offlineButton) {
+        e.stopPropagation();
+        this.togglePropOffline(offlineButton.dataset.offline);
+        return;
+      }
+      
       const option = e.target.closest('.dropdown-option');
       if (option && !option.classList.contains('loading')) {
         const value = option.getAttribute('data-value');
@@ -1675,76 +7842,257 @@ class LEDStageApp {
     dropdownOptions.classList.remove('open');
   }
   
-  // Load prop from library
-  loadPropFromLibrary(propName) {
-    const prop = this.propsLibrary.getPropByName(propName);
-    if (!prop) {
-      console.error('Prop not found:', propName);
-      return;
+  // Initialize background library
+  async initializeBackgroundLibrary() {
+    await this.backgroundLibrary.loadBackgroundLibrary();
+    this.populateBackgroundCategories();
+    this.populateBackgroundDropdown();
+  }
+  
+  populateBackgroundCategories() {
+    const select = document.getElementById('background-category');
+    const current = select.value;
+    
+    select.innerHTML = '<option value="">All Categories</option>';
+    this.backgroundLibrary.getCategories().forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = category.name;
+      select.appendChild(option);
+    });
+    
+    // The uploads category goes away with the last upload
+    select.value = Array.from(select.options).some(option => option.value === current) ? current : '';
+  }
+  
+  // Populate the background dropdown with the backgrounds matching the search and category
+  populateBackgroundDropdown() {
+    const list = document.getElementById('background-dropdown-list');
+    const query = document.getElementById('background-search').value;
+    const category = document.getElementById('background-category').value;
+    const backgrounds = this.backgroundLibrary.search(query, category);
+    
+    list.innerHTML = '';
+    
+    if (backgrounds.length === 0) {
+      const message = query || category ? 'No matching backgrounds' : 'No backgrounds available';
+      list.innerHTML = `<div class="dropdown-option loading" data-value="">${message}</div>`;
+      return;
+    }
+    
+    backgrounds.forEach(background => {
+      const option = document.createElement('div');
+      option.className = 'dropdown-option';
+      option.setAttribute('data-value', background.name);
+      
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'dropdown-option-thumbnail';
+      if (background.thumbnailPath) {
+        thumbnail.style.backgroundImage = `url('${background.thumbnailPath}')`;
+      }
+      
+      const text = document.createElement('span');
+      text.className = 'dropdown-option-text';
+      text.textContent = background.displayName;
+      
+      option.appendChild(thumbnail);
+      option.appendChild(text);
+      
+      if (background.isUpload) {
+        const removeButton = document.createElement('button');
+        removeButton.className = 'dropdown-option-remove';
+        removeButton.title = 'Remove from Library';
+        removeButton.dataset.remove = background.name;
+        removeButton.innerHTML = '<i data-lucide="x"></i>';
+        option.appendChild(removeButton);
+      }
+      
+      list.appendChild(option);
+    });
+    
+    if (typeof lucide !== 'undefined') {
+      lucide.createIcons();
+    }
+  }
+  
+  initializeBackgroundDropdown() {
+    const dropdown = document.getElementById('background-custom-dropdown');
+    const dropdownSelected = document.getElementById('background-dropdown-selected');
+    const dropdownOptions = document.getElementById('background-dropdown-options');
+    const searchInput = document.getElementById('background-search');
+    
+    const setOpen = (open) => {
+      dropdownSelected.classList.toggle('open', open);
+      dropdownOptions.classList.toggle('open', open);
+    };
+    
+    dropdownSelected.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const open = !dropdownSelected.classList.contains('open');
+      setOpen(open);
+      if (open) searchInput.focus();
+    });
+    
+    document.getElementById('background-dropdown-list').addEventListener('click', async (e) => {
+      const removeButton = e.target.closest('.dropdown-option-remove');
+      if (removeButton) {
+        e.stopPropagation();
+        try {
+          await this.backgroundLibrary.removeUpload(removeButton.dataset.remove);
+        } catch (error) {
+          this.assetLoader.reportError('Could not remove background from the library', error);
+        }
+        this.populateBackgroundCategories();
+        this.populateBackgroundDropdown();
+        return;
+      }
+      
+      const option = e.target.closest('.dropdown-option');
+      if (option && !option.classList.contains('loading')) {
+        setOpen(false);
+        this.loadBackgroundFromLibrary(option.getAttribute('data-value'));
+      }
+    });
+    
+    searchInput.addEventListener('input', () => this.populateBackgroundDropdown());
+    document.getElementById('background-category').addEventListener('change', () => this.populateBackgroundDropdown());
+    
+    // Close dropdown when clicking outside
+    document.addEventListener('click', (e) => {
+      if (!dropdown.contains(e.target)) {
+        setOpen(false);
+      }
+    });
+  }
+  
+  async loadBackgroundFromLibrary(name) {
+    const background = this.backgroundLibrary.getBackgroundByName(name);
+    if (!background) {
+      this.assetLoader.reportError('Background not found', new Error(name));
+      return;
+    }
+    
+    document.getElementById('background-dropdown-selected').querySelector('span').textContent = background.displayName;
+    
+    try {
+      const file = await this.backgroundLibrary.getBackgroundFile(background);
+      this.applyBackgroundFile(file);
+    } catch (error) {
+      this.assetLoader.reportError(`Could not load background ${background.displayName}`, error);
+    }
+  }
+  
+  // Show an image or video file on the selected surface(s), optionally keeping it in the background library
+  applyBackgroundFile(file, saveToLibrary = false) {
+    if (!this.ledScreen) return;
+    
+    const onContentApplied = (source) => {
+      console.log('Texture applied successfully');
+      
+      // New content starts with the default transform
+      this.updateScreenControlsUI();
+      
+      if (saveToLibrary) {
+        this.saveBackgroundUpload(file, source);
+      }
+    };
+    
+    if (file.type.startsWith('video/')) {
+      this.ledScreen.setCustomVideo(file, videoContent => onContentApplied(videoContent.video));
+    } else {
+      this.ledScreen.setCustomTexture(file, (texture) => {
+        onContentApplied(texture.hdrPreview || texture.image);
+        
+        // Let the user pick the region of the new image straight away
+        this.openCropEditor();
+      });
+    }
+  }
+  
+  // Save an uploaded background with a thumbnail of its first frame
+  saveBackgroundUpload(file, source) {
+    const save = () => {
+      this.backgroundLibrary.saveUpload(file, createContentThumbnail(source)).then(() => {
+        this.populateBackgroundCategories();
+        this.populateBackgroundDropdown();
+      }).catch((error) => {
+        console.warn('Could not save background to library:', error);
+      });
+    };
+    
+    // Videos may not have decoded a frame yet
+    if (source.readyState !== undefined && source.readyState < 2) {
+      source.addEventListener('loadeddata', save, { once: true });
+    } else {
+      save();
+    }
+  }
+  
+  // Load prop from library
+  async loadPropFromLibrary(propName, placement = null) {
+    const prop = this.propsLibrary.getPropByName(propName);
+    if (!prop || prop.isMissing) {
+      this.assetLoader.reportError('Prop not available', new Error(prop ? `${prop.glbPath} is missing` : propName));
+      return;
+    }
+    
+    try {
+      const gltf = await this.assetLoader.load(`Prop: ${prop.displayName}`, job => loadGLTF(prop.glbPath, job));
+      if (prop.size) {
+        this.fitToRealWorldSize(gltf.scene, prop.size);
+      }
+      this.addModelToScene(gltf.scene, prop.displayName, placement);
+      console.log('Successfully loaded prop:', prop.displayName);
+    } catch (error) {
+      this.assetLoader.reportError(`Could not load prop ${prop.displayName}`, error);
+    }
+  }
+
+  async loadGLTFModel(file, placement = null, resourceFiles = []) {
+    try {
+      const gltf = await this.assetLoader.load(`Model: ${file.name}`, job => loadGLTFFromFiles([file, ...resourceFiles], job));
+      this.addModelToScene(gltf.scene, file.name.replace(/\.[^/.]+$/, ""), placement);
+      console.log('Successfully loaded model:', file.name);
+    } catch (error) {
+      this.assetLoader.reportError(`Could not load model ${file.name}`, error);
+    }
+  }
+  
+  // Models authored in other units (cm, inches) are scaled so their height matches the manifest's real-world size
+  fitToRealWorldSize(modelMesh, size) {
+    const height = new THREE.Box3().setFromObject(modelMesh).getSize(new THREE.Vector3()).y;
+    if (height <= 0 || !size.height) return;
+    
+    const scale = size.height / height;
+    if (Math.abs(scale - 1) > 0.1) {
+      modelMesh.scale.multiplyScalar(scale);
+      console.log(`Scaled prop ${modelMesh.name || ''} by ${scale.toFixed(3)} to its real-world height of ${size.height} m`);
     }
-    
-    const loader = new GLTFLoader();
-    
-    loader.load(prop.glbPath, (gltf) => {
-      const modelMesh = gltf.scene;
-      
-      modelMesh.traverse((child) => {
-        if (child.isMesh) {
-          child.castShadow = true;
-          child.receiveShadow = true;
-        }
-      });
-      
-      modelMesh.position.set(0, 0, 0);
-      this.scene.add(modelMesh);
-      
-      const sceneObject = new SceneObject(modelMesh, prop.displayName);
-      this.sceneObjects.set(sceneObject.id, sceneObject);
-      
-      console.log('Successfully loaded prop:', prop.displayName);
-      
-    }, (xhr) => {
-      if (xhr.lengthComputable) {
-        const percentComplete = xhr.loaded / xhr.total * 100;
-        console.log(`Loading prop ${prop.displayName}: ${percentComplete.toFixed(1)}%`);
+  }
+  
+  // Models go to the origin, or to a drop placement from the view, selected so they can be adjusted straight away
+  addModelToScene(modelMesh, name, placement = null) {
+    modelMesh.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
       }
-    }, (error) => {
-      console.error('Error loading prop:', error);
     });
-  }
-
-  loadGLTFModel(file) {
-    const fileURL = URL.createObjectURL(file);
-    const loader = new GLTFLoader();
     
-    loader.load(fileURL, (gltf) => {
-      const modelMesh = gltf.scene;
-      
-      modelMesh.traverse((child) => {
-        if (child.isMesh) {
-          child.castShadow = true;
-          child.receiveShadow = true;
-        }
-      });
-      
+    if (placement) {
+      modelMesh.position.copy(placement.position);
+      modelMesh.rotation.y = placement.rotationY;
+    } else {
       modelMesh.position.set(0, 0, 0);
-      this.scene.add(modelMesh);
-      
-      const sceneObject = new SceneObject(modelMesh, file.name.replace(/\.[^/.]+$/, ""));
-      this.sceneObjects.set(sceneObject.id, sceneObject);
-      
-      URL.revokeObjectURL(fileURL);
-      console.log('Successfully loaded model:', file.name);
-      
-    }, (xhr) => {
-      if (xhr.lengthComputable) {
-        const percentComplete = xhr.loaded / xhr.total * 100;
-        console.log(`Loading model: ${percentComplete.toFixed(1)}%`);
-      }
-    }, (error) => {
-      console.error('Error loading model:', error);
-      URL.revokeObjectURL(fileURL);
-    });
+    }
+    this.scene.add(modelMesh);
+    
+    const sceneObject = new SceneObject(modelMesh, name);
+    this.sceneObjects.set(sceneObject.id, sceneObject);
+    if (placement) {
+      this.selectObject(sceneObject);
+    }
+    return sceneObject;
   }
 }
 
@@ -1766,87 +8114,458 @@ document.addEventListener('DOMContentLoaded', function() {
 
 // UI Event Handlers
 function initializeUI() {
-  // Studio selection controls
-  const studioDropdown = document.getElementById('studio-dropdown');
-  studioDropdown.addEventListener('change', (event) => {
-    app.onStudioChange(event.target.value);
+  document.getElementById('volume-builder-btn').addEventListener('click', () => {
+    app.openVolumeBuilder();
+  });
+  
+  document.getElementById('studio-import-input').addEventListener('change', (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length > 0) {
+      app.importStudio(files);
+    }
+    event.target.value = '';
   });
 
   // LED Screen controls
   const fileInput = document.getElementById('file-input');
   const resetButton = document.getElementById('reset-button');
-  const emissiveSlider = document.getElementById('emissive-slider');
-  const emissiveValue = document.getElementById('emissive-value');
+  const brightnessSlider = document.getElementById('brightness-slider');
+  
+  document.getElementById('surface-select').addEventListener('change', (event) => {
+    app.selectSurface(event.target.value);
+  });
+  
+  document.getElementById('surface-enabled').addEventListener('change', (event) => {
+    if (app.ledScreen) {
+      app.ledScreen.setEnabled(event.target.checked);
+    }
+  });
   
   fileInput.addEventListener('change', (event) => {
     const file = event.target.files[0];
-    if (file && app.ledScreen) {
-      app.ledScreen.setCustomTexture(file, () => {
-        console.log('Texture applied successfully');
-        
-        // Reset transform controls to default when new texture is loaded
-        bgPosX.value = '0';
-        bgPosY.value = '0';
-        bgScaleX.value = '1';
-        bgScaleY.value = '1';
-        updateTextureTransforms();
-      });
+    if (file) {
+      app.applyBackgroundFile(file, true);
+    }
+  });
+  
+  document.getElementById('crop-edit-btn').addEventListener('click', () => {
+    app.openCropEditor();
+  });
+  
+  // Test patterns
+  const testPatternSelect = document.getElementById('test-pattern-select');
+  const testPatternColor = document.getElementById('test-pattern-color');
+  
+  const applyTestPattern = () => {
+    if (app.ledScreen && testPatternSelect.value) {
+      app.ledScreen.setTestPattern(testPatternSelect.value, testPatternColor.value);
+      fileInput.value = '';
+      app.updateScreenControlsUI();
     }
+  };
+  
+  testPatternSelect.addEventListener('change', () => {
+    testPatternColor.style.display = testPatternSelect.value === 'solid' ? 'block' : 'none';
   });
   
+  testPatternColor.addEventListener('change', applyTestPattern);
+  document.getElementById('test-pattern-apply').addEventListener('click', applyTestPattern);
+  
   resetButton.addEventListener('click', () => {
     if (app.ledScreen) {
+      app.cueList.stop(); // Manual changes take over from the running cue
       app.ledScreen.resetToOriginal();
       fileInput.value = '';
-      emissiveSlider.value = app.ledScreen.originalEmissiveIntensity;
-      emissiveValue.textContent = app.ledScreen.originalEmissiveIntensity.toFixed(1);
-      
-      // Reset transform controls
-      bgPosX.value = '0';
-      bgPosY.value = '0';
-      bgScaleX.value = '1';
-      bgScaleY.value = '1';
+      app.updateScreenControlsUI();
     }
   });
   
-  emissiveSlider.addEventListener('input', (event) => {
-    const intensity = parseFloat(event.target.value);
-    emissiveValue.textContent = intensity.toFixed(1);
+  brightnessSlider.addEventListener('input', (event) => {
     if (app.ledScreen) {
-      app.ledScreen.setBrightness(intensity);
+      app.ledScreen.setBrightness(parseFloat(event.target.value) / 100);
+      app.updateBrightnessValue(app.ledScreen.getPrimarySurface());
     }
   });
   
-  // Background Transform Controls
-  const bgPosX = document.getElementById('bg-pos-x');
-  const bgPosY = document.getElementById('bg-pos-y');
-  const bgScaleX = document.getElementById('bg-scale-x');
-  const bgScaleY = document.getElementById('bg-scale-y');
+  // LED calibration controls
+  const setDisplay = (display) => {
+    if (app.ledScreen) {
+      app.ledScreen.setDisplay(display);
+      app.updateScreenControlsUI();
+    }
+  };
   
-  // Function to update texture transforms
-  function updateTextureTransforms() {
-    if (app.ledScreen && app.ledScreen.currentTexture) {
-      const texture = app.ledScreen.currentTexture;
-      
-      // Update offset (position)
-      texture.offset.set(
-        parseFloat(bgPosX.value),
-        parseFloat(bgPosY.value)
-      );
-      
-      // Update repeat (scale - inverse relationship)
-      texture.repeat.set(
-        parseFloat(bgScaleX.value),
-        parseFloat(bgScaleY.value)
-      );
-      
-      texture.needsUpdate = true;
+  document.getElementById('led-peak-nits').addEventListener('change', (event) => {
+    const peakNits = parseFloat(event.target.value);
+    if (peakNits > 0) {
+      setDisplay({ peakNits });
     }
-  }
+  });
+  
+  document.getElementById('led-white-point').addEventListener('input', (event) => {
+    const whitePoint = parseInt(event.target.value, 10);
+    document.getElementById('led-white-point-value').textContent = `${whitePoint}K`;
+    if (app.ledScreen) {
+      app.ledScreen.setDisplay({ whitePoint });
+    }
+  });
+  
+  document.getElementById('led-eotf').addEventListener('change', (event) => {
+    setDisplay({ eotf: event.target.value });
+  });
+  
+  document.getElementById('led-color-space').addEventListener('change', (event) => {
+    setDisplay({ colorSpace: event.target.value });
+  });
+  
+  const setHDR = (hdr) => {
+    if (app.ledScreen) {
+      app.ledScreen.setHDR(hdr);
+      app.updateHDRUI(app.ledScreen.getPrimarySurface());
+    }
+  };
+  
+  document.getElementById('hdr-exposure').addEventListener('input', (event) => {
+    setHDR({ exposure: parseFloat(event.target.value) });
+  });
+  
+  document.getElementById('hdr-tone-curve').addEventListener('change', (event) => {
+    setHDR({ toneCurve: event.target.value });
+  });
+  
+  document.getElementById('hdr-highlights').addEventListener('input', (event) => {
+    setHDR({ highlightStops: parseFloat(event.target.value) });
+  });
+  
+  // Video transport controls
+  const videoScrub = document.getElementById('video-scrub');
+  const videoInPoint = document.getElementById('video-in-point');
+  const videoOutPoint = document.getElementById('video-out-point');
+  
+  document.getElementById('video-play-btn').addEventListener('click', () => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.togglePlay();
+    }
+  });
+  
+  document.getElementById('video-stop-btn').addEventListener('click', () => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.pause();
+      video.seek(video.inPoint);
+    }
+  });
+  
+  videoScrub.addEventListener('input', (event) => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.seek(parseFloat(event.target.value));
+      app.updateVideoTransportUI();
+    }
+  });
+  
+  document.getElementById('video-loop').addEventListener('change', (event) => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.setLoop(event.target.checked);
+    }
+  });
+  
+  document.getElementById('video-rate').addEventListener('change', (event) => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.setPlaybackRate(parseFloat(event.target.value));
+    }
+  });
+  
+  videoInPoint.addEventListener('change', (event) => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.setInPoint(parseFloat(event.target.value) || 0);
+      app.updateVideoTransportUI();
+    }
+  });
+  
+  videoOutPoint.addEventListener('change', (event) => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      const value = parseFloat(event.target.value);
+      video.setOutPoint(isNaN(value) ? video.getDuration() : value);
+      app.updateVideoTransportUI();
+    }
+  });
+  
+  document.getElementById('video-set-in-btn').addEventListener('click', () => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.setInPoint(video.getCurrentTime());
+      app.updateVideoTransportUI();
+    }
+  });
+  
+  document.getElementById('video-set-out-btn').addEventListener('click', () => {
+    const video = app.getActiveVideoContent();
+    if (video) {
+      video.setOutPoint(video.getCurrentTime());
+      app.updateVideoTransportUI();
+    }
+  });
+  
+  // Image sequence controls
+  document.getElementById('sequence-input').addEventListener('change', (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length > 0 && app.ledScreen) {
+      app.ledScreen.setImageSequence(files, () => {
+        app.updateScreenControlsUI();
+      });
+    }
+    event.target.value = '';
+  });
+  
+  document.getElementById('sequence-play-btn').addEventListener('click', () => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.togglePlay();
+    }
+  });
+  
+  document.getElementById('sequence-stop-btn').addEventListener('click', () => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.pause();
+      sequence.seek(0);
+    }
+  });
+  
+  document.getElementById('sequence-prev-btn').addEventListener('click', () => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.step(-1);
+    }
+  });
+  
+  document.getElementById('sequence-next-btn').addEventListener('click', () => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.step(1);
+    }
+  });
+  
+  document.getElementById('sequence-scrub').addEventListener('input', (event) => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.seek(parseInt(event.target.value, 10));
+    }
+  });
+  
+  document.getElementById('sequence-loop').addEventListener('change', (event) => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.setLoop(event.target.checked);
+    }
+  });
+  
+  document.getElementById('sequence-fps').addEventListener('change', (event) => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.setFps(parseFloat(event.target.value));
+      app.updateSequenceTransportUI();
+    }
+  });
+  
+  document.getElementById('sequence-budget').addEventListener('change', (event) => {
+    const sequence = app.getActiveSequenceContent();
+    if (sequence) {
+      sequence.setMemoryBudget(parseInt(event.target.value, 10) * 1024 * 1024);
+    }
+  });
+  
+  // Content mapping controls
+  document.getElementById('mapping-mode').addEventListener('change', (event) => {
+    if (app.ledScreen) {
+      app.ledScreen.setMapping({ mode: event.target.value });
+      app.updateScreenControlsUI();
+    }
+  });
+  
+  ['yaw', 'pitch', 'roll', 'horizon'].forEach(key => {
+    document.getElementById(`equirect-${key}`).addEventListener('input', (event) => {
+      const value = parseFloat(event.target.value);
+      document.getElementById(`equirect-${key}-value`).textContent = `${value}°`;
+      if (app.ledScreen) {
+        app.ledScreen.setMapping({ [key]: value });
+      }
+    });
+  });
+  
+  const nodalX = document.getElementById('nodal-x');
+  const nodalY = document.getElementById('nodal-y');
+  const nodalZ = document.getElementById('nodal-z');
+  
+  [nodalX, nodalY, nodalZ].forEach(input => {
+    input.addEventListener('input', () => {
+      if (app.ledScreen) {
+        app.ledScreen.setMapping({
+          nodalPoint: {
+            x: parseFloat(nodalX.value) || 0,
+            y: parseFloat(nodalY.value) || 0,
+            z: parseFloat(nodalZ.value) || 0
+          }
+        });
+      }
+    });
+  });
+  
+  // Cue list
+  const cueList = app.cueList;
+  
+  document.getElementById('cue-record-btn').addEventListener('click', () => {
+    cueList.recordCue();
+  });
+  
+  document.getElementById('cue-update-btn').addEventListener('click', () => {
+    cueList.updateCue(cueList.selectedIndex);
+  });
+  
+  document.getElementById('cue-go-btn').addEventListener('click', () => cueList.go());
+  document.getElementById('cue-stop-btn').addEventListener('click', () => cueList.stop());
+  
+  document.getElementById('cue-name').addEventListener('change', (e) => {
+    cueList.setCueOptions(cueList.selectedIndex, { name: e.target.value.trim() || `Cue ${cueList.selectedIndex + 1}` });
+  });
+  
+  document.getElementById('cue-transition').addEventListener('change', (e) => {
+    cueList.setCueOptions(cueList.selectedIndex, { transition: e.target.value });
+  });
+  
+  document.getElementById('cue-transition-time').addEventListener('change', (e) => {
+    cueList.setCueOptions(cueList.selectedIndex, { transitionTime: Math.max(0, parseFloat(e.target.value) || 0) });
+  });
+  
+  document.getElementById('cue-follow-time').addEventListener('change', (e) => {
+    cueList.setCueOptions(cueList.selectedIndex, { followTime: Math.max(0, parseFloat(e.target.value) || 0) });
+  });
+  
+  app.updateCueListUI();
+  
+  // Procedural shader editor
+  const shaderSource = document.getElementById('shader-source');
+  const shaderSliders = [1, 2, 3, 4].map(index => document.getElementById(`shader-slider-${index}`));
+  const loadShaderPreset = (key) => {
+    const preset = SHADER_PRESETS[key];
+    shaderSource.value = preset.source;
+    preset.sliders.forEach((value, index) => shaderSliders[index].value = value);
+  };
+  loadShaderPreset('gradient');
+  
+  document.getElementById('shader-preset').addEventListener('change', (e) => {
+    if (e.target.value) loadShaderPreset(e.target.value);
+  });
+  
+  document.getElementById('shader-apply-btn').addEventListener('click', () => {
+    app.applyShaderContent(shaderSource.value, shaderSliders.map(slider => parseFloat(slider.value)));
+  });
+  
+  // Tab indents instead of leaving the editor
+  shaderSource.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      shaderSource.setRangeText('  ', shaderSource.selectionStart, shaderSource.selectionEnd, 'end');
+    }
+  });
+  
+  shaderSliders.forEach((slider, index) => {
+    slider.addEventListener('input', () => {
+      const shaderContent = app.getActiveShaderContent();
+      if (shaderContent) shaderContent.setSlider(index, parseFloat(slider.value));
+    });
+  });
+  
+  document.getElementById('shader-play-btn').addEventListener('click', () => {
+    const shaderContent = app.getActiveShaderContent();
+    if (shaderContent) {
+      shaderContent.togglePlay();
+      app.updateShaderEditorUI();
+    }
+  });
+  
+  // Parallax layers
+  document.getElementById('parallax-add-input').addEventListener('change', async (e) => {
+    await app.addParallaxLayers(Array.from(e.target.files));
+    e.target.value = '';
+  });
+  
+  document.getElementById('parallax-apply-btn').addEventListener('click', () => {
+    if (app.ledScreen) {
+      app.ledScreen.setParallaxContent(app.parallaxContent);
+      app.updateScreenControlsUI();
+    }
+  });
   
-  // Event listeners for input changes
-  [bgPosX, bgPosY, bgScaleX, bgScaleY].forEach(input => {
-    input.addEventListener('input', updateTextureTransforms);
+  const parallaxFov = document.getElementById('parallax-fov');
+  parallaxFov.addEventListener('input', () => {
+    app.parallaxContent.setFieldOfView(parseFloat(parallaxFov.value));
+    document.getElementById('parallax-fov-value').textContent = `${parallaxFov.value}°`;
+    app.onParallaxContentChanged();
+  });
+  
+  ['x', 'y', 'z'].forEach((axis) => {
+    document.getElementById(`parallax-nodal-${axis}`).addEventListener('input', () => {
+      app.parallaxContent.setNodalPoint({
+        x: parseFloat(document.getElementById('parallax-nodal-x').value) || 0,
+        y: parseFloat(document.getElementById('parallax-nodal-y').value) || 0,
+        z: parseFloat(document.getElementById('parallax-nodal-z').value) || 0
+      });
+      app.onParallaxContentChanged();
+    });
+  });
+  
+  app.updateParallaxUI();
+  
+  // Background Transform Controls - each control only changes its own field of the stored transform
+  const numericTransformFields = {
+    'bg-pos-x': 'offsetX',
+    'bg-pos-y': 'offsetY',
+    'bg-scale-x': 'scaleX',
+    'bg-scale-y': 'scaleY',
+    'bg-rotation': 'rotation',
+    'bg-pivot-x': 'pivotX',
+    'bg-pivot-y': 'pivotY'
+  };
+  const defaultTransform = createDefaultTextureTransform();
+  
+  Object.entries(numericTransformFields).forEach(([id, field]) => {
+    document.getElementById(id).addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      if (app.ledScreen) {
+        app.ledScreen.setTextureTransform({ [field]: isNaN(value) ? defaultTransform[field] : value });
+      }
+    });
+  });
+  
+  document.getElementById('bg-flip-x').addEventListener('change', (e) => {
+    if (app.ledScreen) app.ledScreen.setTextureTransform({ flipX: e.target.checked });
+  });
+  
+  document.getElementById('bg-flip-y').addEventListener('change', (e) => {
+    if (app.ledScreen) app.ledScreen.setTextureTransform({ flipY: e.target.checked });
+  });
+  
+  document.getElementById('bg-fit').addEventListener('change', (e) => {
+    if (app.ledScreen) app.ledScreen.setTextureTransform({ fit: e.target.value });
+    document.getElementById('bg-wrap').disabled = e.target.value === 'tile';
+  });
+  
+  document.getElementById('bg-wrap').addEventListener('change', (e) => {
+    if (app.ledScreen) app.ledScreen.setTextureTransform({ wrap: e.target.value });
+  });
+  
+  document.getElementById('bg-transform-reset').addEventListener('click', () => {
+    if (app.ledScreen) {
+      app.ledScreen.setTextureTransform(createDefaultTextureTransform());
+    }
+    app.updateTransformUI(createDefaultTextureTransform());
   });
   
   // Increment/Decrement button functionality
@@ -1861,7 +8580,7 @@ function initializeUI() {
         const min = parseFloat(input.min);
         if (isNaN(min) || newValue >= min) {
           input.value = newValue.toFixed(2);
-          updateTextureTransforms();
+          input.dispatchEvent(new Event('input'));
         }
       }
     }
@@ -1876,7 +8595,7 @@ function initializeUI() {
         const min = parseFloat(input.min);
         if (isNaN(min) || newValue >= min) {
           input.value = newValue.toFixed(2);
-          updateTextureTransforms();
+          input.dispatchEvent(new Event('input'));
         }
       }
     }
@@ -1887,6 +8606,18 @@ function initializeUI() {
     togglePanel(document.getElementById('screen-collapse-btn'), document.getElementById('screen-content'));
   });
   
+  document.getElementById('lighting-collapse-btn').addEventListener('click', () => {
+    togglePanel(document.getElementById('lighting-collapse-btn'), document.getElementById('lighting-content'));
+  });
+  
+  document.getElementById('layout-collapse-btn').addEventListener('click', () => {
+    togglePanel(document.getElementById('layout-collapse-btn'), document.getElementById('layout-content'));
+  });
+  
+  document.getElementById('icvfx-collapse-btn').addEventListener('click', () => {
+    togglePanel(document.getElementById('icvfx-collapse-btn'), document.getElementById('icvfx-content'));
+  });
+  
   document.getElementById('props-collapse-btn').addEventListener('click', () => {
     togglePanel(document.getElementById('props-collapse-btn'), document.getElementById('props-content'));
   });
@@ -1895,6 +8626,69 @@ function initializeUI() {
     togglePanel(document.getElementById('cameras-collapse-btn'), document.getElementById('cameras-content'));
   });
   
+  // Wall lighting controls
+  document.getElementById('wall-lighting-enabled').addEventListener('change', (event) => {
+    app.stageLighting.setEnabled(event.target.checked);
+  });
+  
+  document.getElementById('wall-reflection-intensity').addEventListener('input', (event) => {
+    const intensity = parseFloat(event.target.value);
+    document.getElementById('wall-reflection-value').textContent = `${intensity}%`;
+    app.stageLighting.setReflectionIntensity(intensity / 100);
+  });
+  
+  document.getElementById('wall-area-intensity').addEventListener('input', (event) => {
+    const intensity = parseFloat(event.target.value);
+    document.getElementById('wall-area-value').textContent = `${intensity}%`;
+    app.stageLighting.setAreaIntensity(intensity / 100);
+  });
+  
+  // LED layout controls
+  document.getElementById('cabinet-seams-toggle').addEventListener('change', (event) => {
+    app.setCabinetSeamsVisible(event.target.checked);
+  });
+  
+  document.getElementById('export-pixel-map-btn').addEventListener('click', () => {
+    app.exportPixelMap();
+  });
+  
+  document.getElementById('export-pixel-map-json-btn').addEventListener('click', () => {
+    app.exportPixelMapJSON();
+  });
+  
+  // Virtual environment (inner frustum) controls
+  const environmentInput = document.getElementById('environment-input');
+  
+  environmentInput.addEventListener('change', (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      app.loadVirtualEnvironment(file);
+      environmentInput.value = '';
+    }
+  });
+  
+  document.getElementById('clear-environment-btn').addEventListener('click', () => {
+    app.clearVirtualEnvironment();
+  });
+  
+  document.getElementById('inner-frustum-enabled').addEventListener('change', (event) => {
+    app.setInnerFrustumEnabled(event.target.checked);
+  });
+  
+  document.getElementById('inner-frustum-overscan').addEventListener('input', (event) => {
+    const overscan = parseFloat(event.target.value);
+    document.getElementById('inner-frustum-overscan-value').textContent = `${overscan}%`;
+    app.innerFrustum.setOverscan(overscan / 100);
+  });
+  
+  document.getElementById('inner-frustum-blend').addEventListener('input', (event) => {
+    const blend = parseFloat(event.target.value);
+    document.getElementById('inner-frustum-blend-value').textContent = `${blend}%`;
+    app.innerFrustum.setEdgeBlend(blend / 100);
+  });
+  
+  app.updateInnerFrustumUI();
+  
   // Model upload controls
   const gltfInput = document.getElementById('gltf-input');
   const placeModelButton = document.getElementById('place-model-button');
@@ -2000,6 +8794,28 @@ function initializeUI() {
     }
   });
   
+  // Exposure settings
+  [
+    ['camera-iso', 'iso'],
+    ['camera-fps', 'frameRate'],
+    ['camera-shutter', 'shutterAngle'],
+    ['camera-tstop', 'tStop'],
+    ['camera-nd', 'ndDensity']
+  ].forEach(([id, setting]) => {
+    document.getElementById(id).addEventListener('change', (event) => {
+      if (app.selectedObject instanceof CinemaCamera) {
+        app.selectedObject.setExposure({ [setting]: parseFloat(event.target.value) });
+        app.updateExposureInfo();
+      }
+    });
+  });
+  
+  document.getElementById('camera-motion-blur').addEventListener('change', (event) => {
+    if (app.selectedObject instanceof CinemaCamera) {
+      app.selectedObject.setExposure({ motionBlur: event.target.checked });
+    }
+  });
+  
   // Transform space buttons
   document.getElementById('model-world-btn').addEventListener('click', () => {
     app.transformSpace = 'world';
@@ -0,0 +1,124 @@
+// Service worker - keeps the app usable on stages with bad or no connectivity
+// The app shell and its CDN modules are cached on first visit; studio and prop assets are only cached when
+// the user makes them available offline (the page writes those to ASSET_CACHE itself).
+
+const APP_CACHE = 'led-stage-app-v2';
+const ASSET_CACHE = 'led-stage-assets';
+
+const THREE_URL = 'https://unpkg.com/three@v0.163.0/';
+
+const APP_SHELL = [
+  './',
+  './index.html',
+  './style.css',
+  './main_oop.js',
+  './manifest.webmanifest',
+  './public/icons/icon-192.png',
+  './public/icons/icon-512.png',
+  './public/LED_Studio/studios.json',
+  './public/props/props.json',
+  './public/backgrounds/manifest.json',
+  'https://unpkg.com/es-module-shims@1.6.3/dist/es-module-shims.js',
+  'https://unpkg.com/lucide@1.51.0/dist/umd/lucide.js',
+  `${THREE_URL}build/three.module.js`,
+  `${THREE_URL}examples/jsm/loaders/GLTFLoader.js`,
+  `${THREE_URL}examples/jsm/utils/BufferGeometryUtils.js`,
+  `${THREE_URL}examples/jsm/controls/OrbitControls.js`,
+  `${THREE_URL}examples/jsm/controls/TransformControls.js`,
+  `${THREE_URL}examples/jsm/lights/RectAreaLightUniformsLib.js`,
+  `${THREE_URL}examples/jsm/loaders/EXRLoader.js`,
+  `${THREE_URL}examples/jsm/loaders/RGBELoader.js`,
+  `${THREE_URL}examples/jsm/libs/fflate.module.js`
+];
+
+// Studio, prop and background folders hold large files; they are cached per item rather than on every visit
+const ON_DEMAND_PATHS = ['/public/LED_Studio/', '/public/props/', '/public/backgrounds/'];
+
+self.addEventListener('install', (event) => {
+  // Files are added one by one so a single missing file doesn't stop the rest being cached
+  event.waitUntil(caches.open(APP_CACHE).then(cache => Promise.all(APP_SHELL.map(url => cache.add(url).catch((error) => {
+    console.warn('Service worker could not cache', url, error);
+  })))).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys().then(names => Promise.all(names
+    .filter(name => name.startsWith('led-stage-app-') && name !== APP_CACHE)
+    .map(name => caches.delete(name)))).then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' && request.method !== 'HEAD') return;
+  
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(fetchSameOrigin(request, url));
+  } else if (url.origin === 'https://unpkg.com') {
+    event.respondWith(fetchVersioned(request));
+  }
+});
+
+// Assets made available offline come from the cache first so large models don't wait on a slow network;
+// everything else is network first so app updates arrive, with the cache as fallback
+async function fetchSameOrigin(request, url) {
+  const offlineAsset = await matchCache(ASSET_CACHE, request);
+  if (offlineAsset) {
+    return asResponseTo(request, offlineAsset);
+  }
+  
+  let response;
+  try {
+    response = await fetch(request);
+  } catch (error) {
+    const cached = await matchCache(APP_CACHE, request) ||
+      (request.mode === 'navigate' ? await matchCache(APP_CACHE, new Request('./index.html')) : null);
+    if (cached) {
+      return asResponseTo(request, cached);
+    }
+    throw error;
+  }
+  
+  const isOnDemand = ON_DEMAND_PATHS.some(path => url.pathname.includes(path)) && !url.pathname.endsWith('.json');
+  if (response.ok && request.method === 'GET' && !isOnDemand) {
+    await putInCache(APP_CACHE, request, response.clone());
+  }
+  return response;
+}
+
+// CDN URLs are pinned to a version (never @latest), so a cached copy never goes stale
+async function fetchVersioned(request) {
+  const cached = await matchCache(APP_CACHE, request);
+  if (cached) {
+    return asResponseTo(request, cached);
+  }
+  
+  const response = await fetch(request);
+  if (response.ok && request.method === 'GET') {
+    await putInCache(APP_CACHE, request, response.clone());
+  }
+  return response;
+}
+
+// A failed cache write (e.g. storage quota) must not cost the page a good network response
+async function putInCache(cacheName, request, response) {
+  try {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+  } catch (error) {
+    console.warn('Service worker could not cache', request.url, error);
+  }
+}
+
+async function matchCache(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  return cache.match(request, { ignoreSearch: true, ignoreMethod: true });
+}
+
+// HEAD requests (used to check that studios and props exist) get the cached headers without the body
+function asResponseTo(request, response) {
+  if (request.method !== 'HEAD') {
+    return response;
+  }
+  return new Response(null, { status: response.status, statusText: response.statusText, headers: response.headers });
+}